@@ -0,0 +1,286 @@
+/**
+ * proxy.js - Optional backend that keeps the Gemini API key out of the browser
+ * Forwards the Lyria live-music WebSocket and the generateContent REST calls
+ * (prompt enhancement) to Google with the server's key, rate limited per client.
+ * The WebSocket is tunnelled byte-for-byte after the upgrade, so no WebSocket
+ * library is needed.
+ *
+ *   GEMINI_API_KEY=... npm run proxy
+ *   VITE_GENAI_PROXY_URL=http://localhost:8787 npm run dev
+ *
+ * Env: GEMINI_API_KEY (required), PROXY_PORT (8787),
+ *      PROXY_ALLOWED_ORIGINS (comma-separated, default http://localhost:3000),
+ *      PROXY_TRUST_FORWARDED=true to key clients by X-Forwarded-For behind a load balancer
+ */
+import http from 'node:http';
+import https from 'node:https';
+
+try { process.loadEnvFile(); } catch { } // .env is optional
+
+const API_KEY = process.env.GEMINI_API_KEY;
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const UPSTREAM_HOST = 'generativelanguage.googleapis.com';
+const ALLOWED_ORIGINS = (process.env.PROXY_ALLOWED_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+const TRUST_FORWARDED = process.env.PROXY_TRUST_FORWARDED === 'true';
+
+// Per-client token buckets: burst capacity, refilled at perMinute
+const LIMITS = {
+    rest: { capacity: 10, perMinute: 10 },
+    socket: { capacity: 5, perMinute: 5 },
+};
+const MAX_SOCKETS_PER_CLIENT = 2;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Only these upstream endpoints are reachable through the proxy
+const REST_PATH = /^\/v1(alpha|beta)?\/models\/[\w.-]+:generateContent$/;
+const SOCKET_PATH = /^\/ws\/google\.ai\.generativelanguage\.v1(alpha|beta)?\.GenerativeService\.BidiGenerateMusic$/;
+
+// Upgrade headers passed through to Google (everything else is dropped)
+const SOCKET_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol'];
+
+class RateLimiter {
+    constructor({ capacity, perMinute }) {
+        this.capacity = capacity;
+        this.refillPerMs = perMinute / 60000;
+        this.buckets = new Map(); // client -> { tokens, at }
+    }
+
+    /**
+     * Spend one token; returns 0 if allowed, otherwise seconds until the next token
+     */
+    take(client) {
+        const now = Date.now();
+        const bucket = this.buckets.get(client) || { tokens: this.capacity, at: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.at) * this.refillPerMs);
+        bucket.at = now;
+        this.buckets.set(client, bucket);
+
+        if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000);
+        bucket.tokens -= 1;
+        return 0;
+    }
+
+    /**
+     * Forget clients whose bucket has refilled
+     */
+    prune() {
+        const now = Date.now();
+        this.buckets.forEach((bucket, client) => {
+            if (bucket.tokens + (now - bucket.at) * this.refillPerMs >= this.capacity) this.buckets.delete(client);
+        });
+    }
+}
+
+const restLimiter = new RateLimiter(LIMITS.rest);
+const socketLimiter = new RateLimiter(LIMITS.socket);
+const openSockets = new Map(); // client -> count
+
+setInterval(() => {
+    restLimiter.prune();
+    socketLimiter.prune();
+}, 60000).unref();
+
+function clientId(req) {
+    const forwarded = TRUST_FORWARDED && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Requests without an Origin (curl, server-to-server) are allowed; browsers must be listed
+function isAllowedOrigin(req) {
+    const { origin } = req.headers;
+    return !origin || ALLOWED_ORIGINS.includes(origin);
+}
+
+/**
+ * Upstream path with any mount prefix removed, e.g. /genai//ws/... -> /ws/...
+ */
+function upstreamPath(url) {
+    const pathname = url.split('?')[0].replace(/\/{2,}/g, '/');
+    const match = pathname.match(/\/(ws\/.*|v1\w*\/.*)$/);
+    return match ? `/${match[1]}` : pathname;
+}
+
+function corsHeaders(req) {
+    if (!req.headers.origin || !isAllowedOrigin(req)) return {};
+    return {
+        'Access-Control-Allow-Origin': req.headers.origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'content-type',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin',
+    };
+}
+
+function sendJson(req, res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...corsHeaders(req), ...headers });
+    res.end(JSON.stringify({ error: { code: status, message } }));
+}
+
+// --- generateContent (REST) ---
+
+function handleRequest(req, res) {
+    const path = upstreamPath(req.url);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders(req));
+        res.end();
+        return;
+    }
+    if (!isAllowedOrigin(req)) return sendJson(req, res, 403, 'Origin not allowed');
+    if (req.method !== 'POST' || !REST_PATH.test(path)) return sendJson(req, res, 404, 'Not proxied');
+
+    const client = clientId(req);
+    const retryAfter = restLimiter.take(client);
+    if (retryAfter) {
+        console.warn(`🚦 [Proxy] Rate limited ${client} on ${path}`);
+        return sendJson(req, res, 429, 'Too many requests', { 'Retry-After': String(retryAfter) });
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            sendJson(req, res, 413, 'Request body too large');
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (res.headersSent) return;
+        const body = Buffer.concat(chunks);
+
+        const upstream = https.request({
+            host: UPSTREAM_HOST,
+            path,
+            method: 'POST',
+            headers: {
+                'Content-Type': req.headers['content-type'] || 'application/json',
+                'Content-Length': body.length,
+                'x-goog-api-key': API_KEY,
+                ...(req.headers['x-goog-api-client'] && { 'x-goog-api-client': req.headers['x-goog-api-client'] }),
+            },
+        }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode, {
+                'Content-Type': upstreamRes.headers['content-type'] || 'application/json',
+                ...corsHeaders(req),
+            });
+            upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+            console.error('❌ [Proxy] Upstream request failed:', error.message);
+            if (!res.headersSent) sendJson(req, res, 502, 'Upstream request failed');
+        });
+        upstream.end(body);
+    });
+}
+
+// --- Live music (WebSocket) ---
+
+function rejectUpgrade(socket, status, headers = {}) {
+    const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${extra}Connection: close\r\n\r\n`);
+}
+
+function handleUpgrade(req, socket, head) {
+    const path = upstreamPath(req.url);
+    const client = clientId(req);
+    // A client reset at any point (even mid-handshake) must not crash the proxy
+    socket.on('error', (error) => console.warn(`⚠️ [Proxy] Client socket error for ${client}:`, error.message));
+
+    if (!SOCKET_PATH.test(path)) return rejectUpgrade(socket, 404);
+    if (!isAllowedOrigin(req)) return rejectUpgrade(socket, 403);
+    if ((openSockets.get(client) || 0) >= MAX_SOCKETS_PER_CLIENT) {
+        console.warn(`🚦 [Proxy] ${client} already has ${MAX_SOCKETS_PER_CLIENT} live sessions`);
+        return rejectUpgrade(socket, 429);
+    }
+    const retryAfter = socketLimiter.take(client);
+    if (retryAfter) {
+        console.warn(`🚦 [Proxy] Rate limited ${client} on live music connect`);
+        return rejectUpgrade(socket, 429, { 'Retry-After': retryAfter });
+    }
+
+    const headers = { Host: UPSTREAM_HOST, Connection: 'Upgrade', Upgrade: 'websocket' };
+    SOCKET_HEADERS.forEach(name => {
+        if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    // The client's placeholder key is dropped; the server's key goes upstream
+    const upstream = https.request({
+        host: UPSTREAM_HOST,
+        path: `${path}?key=${encodeURIComponent(API_KEY)}`,
+        headers,
+    });
+    // Client gone before the upstream answered: drop the pending request
+    const abortUpstream = () => upstream.destroy();
+    socket.on('close', abortUpstream);
+
+    upstream.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+        socket.off('close', abortUpstream);
+        if (socket.destroyed) {
+            upstreamSocket.destroy();
+            return;
+        }
+        let response = `HTTP/1.1 101 Switching Protocols\r\n`;
+        for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+            response += `${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}\r\n`;
+        }
+        socket.write(`${response}\r\n`);
+        if (upstreamHead.length) socket.write(upstreamHead);
+        if (head.length) upstreamSocket.write(head);
+
+        openSockets.set(client, (openSockets.get(client) || 0) + 1);
+        console.log(`🔌 [Proxy] Live music session opened for ${client}`);
+
+        let closed = false;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            openSockets.set(client, openSockets.get(client) - 1);
+            if (!openSockets.get(client)) openSockets.delete(client);
+            socket.destroy();
+            upstreamSocket.destroy();
+            console.log(`🔌 [Proxy] Live music session closed for ${client}`);
+        };
+
+        upstreamSocket.pipe(socket);
+        socket.pipe(upstreamSocket);
+        // Either side hanging up ends the session (sockets here are half-open by default)
+        socket.on('end', close);
+        upstreamSocket.on('end', close);
+        socket.on('close', close);
+        upstreamSocket.on('close', close);
+        socket.on('error', close);
+        upstreamSocket.on('error', close);
+    });
+
+    upstream.on('response', (upstreamRes) => {
+        console.warn(`⚠️ [Proxy] Upstream refused the upgrade: ${upstreamRes.statusCode}`);
+        rejectUpgrade(socket, upstreamRes.statusCode);
+        upstreamRes.resume();
+    });
+
+    upstream.on('error', (error) => {
+        if (socket.destroyed) return; // Aborted because the client left
+        console.error('❌ [Proxy] Upstream connection failed:', error.message);
+        rejectUpgrade(socket, 502);
+    });
+
+    upstream.end();
+}
+
+if (!API_KEY) {
+    console.error('❌ [Proxy] GEMINI_API_KEY is not set');
+    process.exit(1);
+}
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+    console.log(`🛡️ [Proxy] Listening on http://localhost:${PORT} (origins: ${ALLOWED_ORIGINS.join(', ')})`);
+});
@@ -2,60 +2,136 @@
  * App.jsx - Main PromptDJ Retro Dashboard
  * Claude Academic Retro aesthetic
  */
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import Knob from './components/Knob';
 import PresetSelector, { PRESETS } from './components/PresetSelector';
 import PromptConsole from './components/PromptConsole';
+import MorphControls from './components/MorphControls';
+import AdvancedPanel from './components/AdvancedPanel';
+import SettingsPanel from './components/SettingsPanel';
 import PlayButton from './components/PlayButton';
-import liveMusicService from './services/LiveMusicService';
+import RecordButton from './components/RecordButton';
+import RetroCapture from './components/RetroCapture';
+import Visualizer from './components/Visualizer';
+import SetListPanel from './components/SetListPanel';
+import MidiPanel from './components/MidiPanel';
+import engineRouter from './services/EngineRouter';
+import recorderService from './services/RecorderService';
+import promptMorphService from './services/PromptMorphService';
+import sceneSequencer, { createScene } from './services/SceneSequencer';
+import midiService from './services/MidiService';
+import midiClockService from './services/MidiClockService';
+import { createRow, rowsFromPrompts, resolvePrompts } from './utils/promptMix';
+import { sanitizeAdvancedConfig, toSessionConfig } from './utils/musicConfig';
+import { sanitizeEngineSettings, toEngineOptions } from './utils/engineSettings';
+import { MAX_PRESETS, createPresetSnapshot, duplicatePreset, migrateCustomPresets, sanitizeKnobs } from './utils/presetState';
+import { buildShareLink, clearShareFragment, readShareFragment } from './utils/shareLink';
+import { MockMIDIAccess } from './utils/mockMidi';
+import { SimulatedGenAI } from './utils/lyriaSimulator';
+
+// MIDI CC targets - ranges match the Knobs and the volume slider
+const MIDI_CC_TARGETS = [
+    { id: 'bpm', label: 'BPM', kind: 'cc', min: 60, max: 200, step: 1 },
+    { id: 'guidance', label: 'Guidance', kind: 'cc', min: 0, max: 6, step: 0.1 },
+    { id: 'density', label: 'Density', kind: 'cc', min: 0, max: 1, step: 0.01 },
+    { id: 'brightness', label: 'Brightness', kind: 'cc', min: 0, max: 1, step: 0.01 },
+    { id: 'volume', label: 'Volume', kind: 'cc', min: 0.25, max: 1.75, step: 0.01 },
+];
 
 export default function App() {
     // Playback state
     const [playbackState, setPlaybackState] = useState('stopped');
     const [error, setError] = useState(null);
     const [activeEngine, setActiveEngine] = useState('none');
+    const [isEngineFailover, setIsEngineFailover] = useState(false);
+    // 'auto' fails over by priority; an engine id pins that engine
+    const [enginePolicy, setEnginePolicy] = useState(() => localStorage.getItem('lyria-engine-policy') || 'auto');
+    const [bufferStats, setBufferStats] = useState(null);
     const [reconnectStatus, setReconnectStatus] = useState(null);
+    const [stallStatus, setStallStatus] = useState(null); // { silentFor } while Lyria is open but silent
+
+    // Recording state
+    const [isRecording, setIsRecording] = useState(false);
+    const [recordingDuration, setRecordingDuration] = useState(0);
+    const [retroMinutes, setRetroMinutes] = useState(() => {
+        const saved = localStorage.getItem('lyria-retro-minutes');
+        return saved ? parseInt(saved, 10) : 3;
+    });
 
     // Listening duration timer
     const [listeningTime, setListeningTime] = useState(0);
     const timerRef = useRef(null);
     const startTimeRef = useRef(null);
 
+    // A #mix= share link replaces the default boot state (read once; it never starts playback)
+    const [sharedMix] = useState(() => readShareFragment(window.location.hash));
+    const [isFromShareLink, setIsFromShareLink] = useState(Boolean(sharedMix));
+    const [shareStatus, setShareStatus] = useState(null); // 'copied' | 'failed' briefly after Copy link
+
     // Preset and prompt state
     const [customPresets, setCustomPresets] = useState(() => {
         const saved = localStorage.getItem('lyria-custom-presets');
-        return saved ? JSON.parse(saved) : [];
+        return migrateCustomPresets(saved ? JSON.parse(saved) : []);
     });
 
     // Combine built-in + custom
-    const presets = [...PRESETS, ...customPresets];
+    const presets = useMemo(() => [...PRESETS, ...customPresets], [customPresets]);
+
+    const [selectedPreset, setSelectedPreset] = useState(sharedMix ? null : PRESETS[0]);
+    const [customPrompt, setCustomPrompt] = useState(() => sharedMix ? sharedMix.name || sharedMix.prompts.map(p => p.text).join(' + ') : '');
+    const [mixRows, setMixRows] = useState(() => rowsFromPrompts((sharedMix || PRESETS[0]).prompts));
+    const [filteredPrompts, setFilteredPrompts] = useState(() => new Set());
+
+    // Preset morph mode
+    const [morphSettings, setMorphSettings] = useState(() => {
+        const saved = localStorage.getItem('lyria-morph-settings');
+        return saved ? JSON.parse(saved) : { enabled: false, duration: 16, easing: 'easeInOut' };
+    });
+    const [morphProgress, setMorphProgress] = useState(null);
+    const morphSettingsRef = useRef(morphSettings);
+
+    useEffect(() => {
+        morphSettingsRef.current = morphSettings;
+        localStorage.setItem('lyria-morph-settings', JSON.stringify(morphSettings));
+    }, [morphSettings]);
+
+    // Set lists (timed scene sequences)
+    const [setLists, setSetLists] = useState(() => {
+        const saved = localStorage.getItem('lyria-set-lists');
+        return saved ? JSON.parse(saved) : [];
+    });
+    const [sequencerState, setSequencerState] = useState({ isRunning: false, isHeld: false, index: -1, elapsed: 0 });
+    const [isSetListOpen, setIsSetListOpen] = useState(false);
+
+    useEffect(() => {
+        localStorage.setItem('lyria-set-lists', JSON.stringify(setLists));
+        // Keep a running sequence in sync with edits
+        if (sceneSequencer.setList) {
+            const running = setLists.find(l => l.id === sceneSequencer.setList.id);
+            if (running) sceneSequencer.updateSetList(running);
+        }
+    }, [setLists]);
 
-    const [selectedPreset, setSelectedPreset] = useState(PRESETS[0]);
-    const [customPrompt, setCustomPrompt] = useState('');
+    // Advanced generation config (scale, temperature, top-k, seed, stem mutes); saved with presets
+    const [advancedConfig, setAdvancedConfig] = useState(() => {
+        if (sharedMix) return sharedMix.advanced;
+        const saved = localStorage.getItem('lyria-advanced-config');
+        return sanitizeAdvancedConfig(saved ? JSON.parse(saved) : {});
+    });
 
     // Persist custom presets when changed
     useEffect(() => {
         localStorage.setItem('lyria-custom-presets', JSON.stringify(customPresets));
     }, [customPresets]);
 
-    // Handle saving new preset
-    const handleSavePreset = useCallback((name, prompts) => {
-        if (presets.length >= 20) {
-            setError('Max limit reached. Delete a custom preset to save new.');
-            setTimeout(() => setError(null), 3000);
-            return;
-        }
+    // Selecting a preset restores only its prompts, leaving knobs and advanced config alone
+    const [presetPromptsOnly, setPresetPromptsOnly] = useState(() => localStorage.getItem('lyria-preset-prompts-only') === 'true');
+    const presetPromptsOnlyRef = useRef(presetPromptsOnly);
 
-        const newPreset = {
-            id: `custom-${Date.now()}`,
-            name,
-            prompts,
-            isCustom: true
-        };
-
-        setCustomPresets(prev => [...prev, newPreset]);
-        setSelectedPreset(newPreset);
-    }, [presets]);
+    useEffect(() => {
+        presetPromptsOnlyRef.current = presetPromptsOnly;
+        localStorage.setItem('lyria-preset-prompts-only', presetPromptsOnly);
+    }, [presetPromptsOnly]);
 
     // Handle deleting preset
     const handleDeletePreset = useCallback((id) => {
@@ -65,34 +141,171 @@ export default function App() {
         }
     }, [selectedPreset]);
 
+    // Every preset slot taken (built-in + custom)?
+    const isPresetLimitReached = useCallback(() => {
+        if (presets.length < MAX_PRESETS) return false;
+        setError('Max limit reached. Delete a custom preset to save new.');
+        setTimeout(() => setError(null), 3000);
+        return true;
+    }, [presets]);
+
+    // Handle preset edits - a selected preset re-applies its edited prompts
+    const handleUpdatePreset = useCallback((updated) => {
+        setCustomPresets(prev => prev.map(p => (p.id === updated.id ? updated : p)));
+        if (selectedPreset?.id === updated.id) setSelectedPreset(updated);
+    }, [selectedPreset]);
+
+    // Copy any preset (built-ins included) into an editable custom one
+    const handleDuplicatePreset = useCallback((preset) => {
+        if (isPresetLimitReached()) return null;
+        const copy = duplicatePreset(preset);
+        setCustomPresets(prev => [...prev, copy]);
+        return copy;
+    }, [isPresetLimitReached]);
+
+    // Imported presets arrive validated and merged (or replacing the custom ones)
+    const handleImportPresets = useCallback((imported) => {
+        setCustomPresets(imported);
+        if (selectedPreset?.isCustom && !imported.some(p => p.id === selectedPreset.id)) {
+            setSelectedPreset(PRESETS[0]);
+        }
+    }, [selectedPreset]);
+
+    // Move a custom preset to another's position
+    const handleReorderPresets = useCallback((fromId, toId) => {
+        setCustomPresets(prev => {
+            const from = prev.findIndex(p => p.id === fromId);
+            const to = prev.findIndex(p => p.id === toId);
+            if (from < 0 || to < 0) return prev;
+            const next = [...prev];
+            next.splice(to, 0, next.splice(from, 1)[0]);
+            return next;
+        });
+    }, []);
+
     // Control parameters - defaults per Lyria API docs
-    const [bpm, setBpm] = useState(90);
-    const [guidance, setGuidance] = useState(4.0);  // Default 4.0, range 0-6
-    const [density, setDensity] = useState(0.5);    // Range 0-1
-    const [brightness, setBrightness] = useState(0.5); // Range 0-1
+    const [bpm, setBpm] = useState(sharedMix?.knobs.bpm ?? 90);
+    const [applyingResetKeys, setApplyingResetKeys] = useState([]);
+    const [guidance, setGuidance] = useState(sharedMix?.knobs.guidance ?? 4.0);  // Default 4.0, range 0-6
+    const [density, setDensity] = useState(sharedMix?.knobs.density ?? 0.5);    // Range 0-1
+    const [brightness, setBrightness] = useState(sharedMix?.knobs.brightness ?? 0.5); // Range 0-1
     const [volume, setVolume] = useState(() => {
         const saved = localStorage.getItem('lyria-volume');
         return saved ? parseFloat(saved) : 0.75;
     });
 
+    const [isAdvancedOpen, setIsAdvancedOpen] = useState(false);
+
+    // Values from a share link aren't saved over the user's own until they edit them
+    const advancedFromLinkRef = useRef(Boolean(sharedMix));
+
+    useEffect(() => {
+        if (advancedFromLinkRef.current) return;
+        localStorage.setItem('lyria-advanced-config', JSON.stringify(advancedConfig));
+    }, [advancedConfig]);
+
+    // Engine settings (API key, models, buffer latency), applied without a reload
+    const [engineSettings, setEngineSettings] = useState(() => {
+        const saved = localStorage.getItem('lyria-engine-settings');
+        return sanitizeEngineSettings(saved ? JSON.parse(saved) : {});
+    });
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    // Client precedence: simulator > key saved in the browser > proxy > build-time key.
+    // Prefer the proxy over VITE_GEMINI_API_KEY: that key ends up readable in the shipped bundle.
+    const simulatorScenario = import.meta.env.VITE_LYRIA_SIMULATOR;
+    const isSimulated = Boolean(simulatorScenario) && simulatorScenario !== 'false';
+    const keySource = isSimulated ? 'simulator'
+        : engineSettings.apiKey ? 'stored'
+            : import.meta.env.VITE_GENAI_PROXY_URL ? 'proxy'
+                : import.meta.env.VITE_GEMINI_API_KEY ? 'env'
+                    : 'none';
+
+    useEffect(() => {
+        localStorage.setItem('lyria-engine-settings', JSON.stringify(engineSettings));
+
+        let client;
+        if (isSimulated) {
+            // VITE_LYRIA_SIMULATOR=<scenario> (or true) swaps in the offline Lyria simulator,
+            // driven from devtools via window.lyriaSimulator (e.g. lyriaSimulator.trigger('stall'))
+            window.lyriaSimulator ??= new SimulatedGenAI(simulatorScenario === 'true' ? 'steady' : simulatorScenario);
+            client = { ai: window.lyriaSimulator };
+        } else if (engineSettings.apiKey) {
+            client = { apiKey: engineSettings.apiKey };
+        } else if (import.meta.env.VITE_GENAI_PROXY_URL) {
+            client = { proxyUrl: import.meta.env.VITE_GENAI_PROXY_URL };
+        } else {
+            client = { apiKey: import.meta.env.VITE_GEMINI_API_KEY || null };
+            if (!client.apiKey) {
+                console.warn('No API key: save one in Settings, or set VITE_GENAI_PROXY_URL or VITE_GEMINI_API_KEY');
+            }
+        }
+        engineRouter.configure({ ...client, ...toEngineOptions(engineSettings) });
+    }, [engineSettings, isSimulated, simulatorScenario]);
+
+    const handleSettingsChange = useCallback((changes) => {
+        setEngineSettings(prev => sanitizeEngineSettings({ ...prev, ...changes }));
+    }, []);
+
+    const handleValidateKey = useCallback((key) => engineRouter.validateApiKey(key), []);
+
+    // MIDI controller state
+    const [midiState, setMidiState] = useState({ isReady: false, inputs: [], outputs: [], learnTarget: null, mappings: {} });
+    const [isMidiLearnMode, setIsMidiLearnMode] = useState(false);
+    const [midiClockOutputId, setMidiClockOutputId] = useState(() => localStorage.getItem('lyria-midi-clock-output') || '');
+
+    // Engine selection: auto failover or a pinned engine
+    useEffect(() => {
+        localStorage.setItem('lyria-engine-policy', enginePolicy);
+        if (enginePolicy === 'auto') {
+            engineRouter.setPolicy('auto');
+        } else {
+            engineRouter.setPolicy('manual');
+            engineRouter.select(enginePolicy);
+        }
+    }, [enginePolicy]);
+
+    // Visualizer display mode
+    const [visualizerMode, setVisualizerMode] = useState(() => localStorage.getItem('lyria-visualizer-mode') || 'bars');
+
+    useEffect(() => {
+        localStorage.setItem('lyria-visualizer-mode', visualizerMode);
+    }, [visualizerMode]);
+
+    // Resolved per frame so the visualizer follows engine switches
+    const getAnalyser = useCallback(() => engineRouter.getMeter(), []);
+
     // Auto-drift/Random tuning state
     const [isAutoDriftEnabled, setIsAutoDriftEnabled] = useState(false);
     const nextDriftTimeRef = useRef(180); // First drift at 3 minutes
 
-    // Initialize music service
+    // Initialize music service (the client is chosen by the engine settings effect)
     useEffect(() => {
-        const apiKey = import.meta.env.VITE_GEMINI_API_KEY ||
-            import.meta.env.GEMINI_API_KEY;
+        // Seed the service's config with the knob values and saved advanced config
+        engineRouter.setTempo(bpm);
+        engineRouter.setMusicConfig({
+            guidance,
+            density,
+            brightness,
+            ...toSessionConfig(advancedConfig),
+        });
+        engineRouter.setVolume(volume);
 
-        if (apiKey) {
-            liveMusicService.init(apiKey);
-        } else {
-            console.warn('VITE_GEMINI_API_KEY not found in environment');
+        // Shared links boot with their own mix; the link is cleared so edits aren't undone on reload
+        if (sharedMix) {
+            console.log('🔗 [Share] Loaded mix from link');
+            engineRouter.setWeightedPrompts(sharedMix.prompts);
+            clearShareFragment();
         }
 
         // Listen for playback state changes
         const handleStateChange = (e) => {
             setPlaybackState(e.detail);
+            // Stopping (or failing for good) ends any retry cycle
+            if (e.detail === 'stopped') {
+                setReconnectStatus(null);
+                setStallStatus(null);
+            }
         };
 
         const handleError = (e) => {
@@ -101,10 +314,12 @@ export default function App() {
         };
 
         const handleEngineChange = (e) => {
-            console.log(`🔌 [App] Engine changed to: ${e.detail}`);
-            setActiveEngine(e.detail);
+            console.log(`🔌 [App] Engine changed to: ${e.detail.id}`);
+            setActiveEngine(e.detail.id);
+            setIsEngineFailover(e.detail.isFailover);
             // Clear reconnecting status when engine changes (either success or fallback)
             setReconnectStatus(null);
+            setStallStatus(null);
         };
 
         const handleReconnecting = (e) => {
@@ -112,21 +327,138 @@ export default function App() {
             setReconnectStatus(e.detail);
         };
 
-        liveMusicService.addEventListener('playback-state-changed', handleStateChange);
-        liveMusicService.addEventListener('error', handleError);
-        liveMusicService.addEventListener('engine-changed', handleEngineChange);
-        liveMusicService.addEventListener('reconnecting', handleReconnecting);
+        const handleStalled = (e) => {
+            setStallStatus(e.detail.isStalled ? e.detail : null);
+        };
+
+        const handleRecordingState = (e) => {
+            setIsRecording(e.detail.isRecording);
+            setRecordingDuration(e.detail.duration);
+        };
+
+        const handleRecordingProgress = (e) => {
+            setRecordingDuration(e.detail.duration);
+        };
+
+        const handleContextResetState = (e) => {
+            setApplyingResetKeys(e.detail.isApplying ? e.detail.keys : []);
+        };
+
+        const handleBufferStats = (e) => {
+            setBufferStats(e.detail);
+        };
+
+        const handleFilteredPrompt = (e) => {
+            setFilteredPrompts(prev => new Set(prev).add(e.detail.text));
+        };
+
+        const handleMorphProgress = (e) => {
+            setMorphProgress(e.detail);
+        };
+
+        const handleSequencerState = (e) => {
+            setSequencerState(e.detail);
+        };
+
+        // Apply a scene: its prompt mix (cut or morph) plus knob values
+        const handleSceneChanged = (e) => {
+            const scene = e.detail;
+            setSelectedPreset(null);
+            setCustomPrompt(scene.name);
+            setMixRows(rowsFromPrompts(scene.prompts));
+
+            const canMorph = scene.transition === 'morph' && engineRouter.playbackState === 'playing';
+            if (canMorph) {
+                promptMorphService.start(scene.prompts, {
+                    duration: scene.transitionTime,
+                    easing: morphSettingsRef.current.easing,
+                    label: scene.name,
+                });
+            } else {
+                promptMorphService.cancel();
+                engineRouter.setWeightedPrompts(scene.prompts);
+            }
+
+            const { bpm: sceneBpm, ...sceneConfig } = scene.knobs;
+            setBpm(sceneBpm);
+            setGuidance(sceneConfig.guidance);
+            setDensity(sceneConfig.density);
+            setBrightness(sceneConfig.brightness);
+            engineRouter.setTempo(sceneBpm);
+            engineRouter.setMusicConfig(sceneConfig);
+        };
+
+        // A link opened in this tab only changes the hash: load it like a scene, without playing
+        const handleHashChange = () => {
+            const mix = readShareFragment(window.location.hash);
+            if (!mix) return;
+            console.log('🔗 [Share] Loaded mix from link');
+            clearShareFragment();
+
+            setSelectedPreset(null);
+            setCustomPrompt(mix.name || mix.prompts.map(p => p.text).join(' + '));
+            setMixRows(rowsFromPrompts(mix.prompts));
+            promptMorphService.cancel();
+            engineRouter.setWeightedPrompts(mix.prompts);
+
+            const { bpm: mixBpm, ...mixKnobs } = mix.knobs;
+            if (mixBpm !== undefined) {
+                setBpm(mixBpm);
+                engineRouter.setTempo(mixBpm);
+            }
+            if (mixKnobs.guidance !== undefined) setGuidance(mixKnobs.guidance);
+            if (mixKnobs.density !== undefined) setDensity(mixKnobs.density);
+            if (mixKnobs.brightness !== undefined) setBrightness(mixKnobs.brightness);
+            // Links leave out default advanced values; mix.advanced has them filled in,
+            // so this tab's own non-default values are reset too
+            advancedFromLinkRef.current = true;
+            setAdvancedConfig(mix.advanced);
+            engineRouter.setMusicConfig({ ...mixKnobs, ...toSessionConfig(mix.advanced) });
+            setIsFromShareLink(true);
+        };
+
+        engineRouter.addEventListener('playback-state-changed', handleStateChange);
+        engineRouter.addEventListener('error', handleError);
+        engineRouter.addEventListener('engine-changed', handleEngineChange);
+        engineRouter.addEventListener('reconnecting', handleReconnecting);
+        engineRouter.addEventListener('stalled', handleStalled);
+        engineRouter.addEventListener('filtered-prompt', handleFilteredPrompt);
+        engineRouter.addEventListener('context-reset-state', handleContextResetState);
+        engineRouter.addEventListener('buffer-stats', handleBufferStats);
+        recorderService.addEventListener('recording-state-changed', handleRecordingState);
+        recorderService.addEventListener('recording-progress', handleRecordingProgress);
+        promptMorphService.addEventListener('morph-progress', handleMorphProgress);
+        sceneSequencer.addEventListener('sequencer-state', handleSequencerState);
+        sceneSequencer.addEventListener('scene-changed', handleSceneChanged);
+        window.addEventListener('hashchange', handleHashChange);
 
         return () => {
-            liveMusicService.removeEventListener('playback-state-changed', handleStateChange);
-            liveMusicService.removeEventListener('error', handleError);
-            liveMusicService.removeEventListener('engine-changed', handleEngineChange);
-            liveMusicService.removeEventListener('reconnecting', handleReconnecting);
+            engineRouter.removeEventListener('playback-state-changed', handleStateChange);
+            engineRouter.removeEventListener('error', handleError);
+            engineRouter.removeEventListener('engine-changed', handleEngineChange);
+            engineRouter.removeEventListener('reconnecting', handleReconnecting);
+            engineRouter.removeEventListener('stalled', handleStalled);
+            engineRouter.removeEventListener('filtered-prompt', handleFilteredPrompt);
+            engineRouter.removeEventListener('context-reset-state', handleContextResetState);
+            engineRouter.removeEventListener('buffer-stats', handleBufferStats);
+            recorderService.removeEventListener('recording-state-changed', handleRecordingState);
+            recorderService.removeEventListener('recording-progress', handleRecordingProgress);
+            promptMorphService.removeEventListener('morph-progress', handleMorphProgress);
+            promptMorphService.cancel();
+            sceneSequencer.removeEventListener('sequencer-state', handleSequencerState);
+            sceneSequencer.removeEventListener('scene-changed', handleSceneChanged);
+            window.removeEventListener('hashchange', handleHashChange);
+            sceneSequencer.stop();
 
             if (timerRef.current) clearInterval(timerRef.current);
         };
     }, []);
 
+    // The shared-link note only matters until the first play
+    useEffect(() => {
+        if (playbackState === 'playing') setIsFromShareLink(false);
+    }, [playbackState]);
+
     // Listening timer and auto-drift effect
     useEffect(() => {
         if (playbackState === 'playing') {
@@ -135,6 +467,9 @@ export default function App() {
                 const currentSec = Math.floor((Date.now() - startTimeRef.current) / 1000);
                 setListeningTime(currentSec);
 
+                // Scene durations run on the same listening clock
+                sceneSequencer.tick(currentSec);
+
                 // Auto-drift logic (every 3 minutes / 180 seconds)
                 if (isAutoDriftEnabled && currentSec >= nextDriftTimeRef.current) {
                     applyRandomTuning();
@@ -158,61 +493,139 @@ export default function App() {
         const bpmDelta = Math.floor(Math.random() * 21) - 10;
         const newBpm = Math.min(200, Math.max(60, bpm + bpmDelta));
         setBpm(newBpm);
-        liveMusicService.setTempo(newBpm);
+        engineRouter.setTempo(newBpm);
 
         // Random Guidance change (-1 to +1)
         const guidanceDelta = (Math.random() * 2) - 1;
         const newGuidance = Math.min(6, Math.max(0, guidance + guidanceDelta));
         setGuidance(newGuidance);
-        liveMusicService.setMusicConfig({ guidance: newGuidance });
 
         // Random Density change (-0.15 to +0.15)
         const densityDelta = (Math.random() * 0.3) - 0.15;
         const newDensity = Math.min(1, Math.max(0, density + densityDelta));
         setDensity(newDensity);
-        liveMusicService.setMusicConfig({ density: newDensity });
 
         // Random Brightness change (-0.1 to +0.1)
         const brightnessDelta = (Math.random() * 0.2) - 0.1;
         const newBrightness = Math.min(1, Math.max(0, brightness + brightnessDelta));
         setBrightness(newBrightness);
-        liveMusicService.setMusicConfig({ brightness: newBrightness });
+
+        // One merged update instead of three partial sends
+        engineRouter.setMusicConfig({
+            guidance: newGuidance,
+            density: newDensity,
+            brightness: newBrightness,
+        });
     };
 
-    // Update prompts when preset changes
+    // Update prompts when preset changes - morph while playing if enabled, else hard switch
     useEffect(() => {
-        if (selectedPreset) {
-            liveMusicService.setWeightedPrompts(selectedPreset.prompts);
+        if (!selectedPreset) return;
+        setMixRows(rowsFromPrompts(selectedPreset.prompts));
+
+        const { enabled, duration, easing } = morphSettingsRef.current;
+        const canMorph = enabled &&
+            engineRouter.playbackState === 'playing' &&
+            engineRouter.prompts.length > 0;
+
+        if (canMorph) {
+            promptMorphService.start(selectedPreset.prompts, { duration, easing, label: selectedPreset.name });
+        } else {
+            promptMorphService.cancel();
+            engineRouter.setWeightedPrompts(selectedPreset.prompts);
         }
     }, [selectedPreset]);
 
-    // Handle preset change
+    // Handle advanced parameter changes (already validated by the panel)
+    const handleAdvancedChange = useCallback((changes) => {
+        advancedFromLinkRef.current = false;
+        setAdvancedConfig(prev => ({ ...prev, ...changes }));
+        const sessionChanges = toSessionConfig(changes);
+        if (Object.keys(sessionChanges).length) {
+            engineRouter.setMusicConfig(sessionChanges);
+        }
+    }, []);
+
+    const applyVolume = useCallback((value) => {
+        setVolume(value);
+        localStorage.setItem('lyria-volume', value);
+        engineRouter.setVolume(value);
+    }, []);
+
+    // Handle preset change - the prompts follow via the selectedPreset effect
     const handlePresetChange = useCallback((preset) => {
         setSelectedPreset(preset);
         setCustomPrompt(''); // Clear custom prompt when preset selected
+        if (presetPromptsOnlyRef.current) return;
+
+        // Full-state presets restore their knobs, volume and auto-drift
+        const knobs = sanitizeKnobs(preset.knobs);
+        const musicConfig = {};
+        if (knobs.bpm !== undefined) {
+            setBpm(knobs.bpm);
+            engineRouter.setTempo(knobs.bpm);
+        }
+        if (knobs.guidance !== undefined) {
+            setGuidance(knobs.guidance);
+            musicConfig.guidance = knobs.guidance;
+        }
+        if (knobs.density !== undefined) {
+            setDensity(knobs.density);
+            musicConfig.density = knobs.density;
+        }
+        if (knobs.brightness !== undefined) {
+            setBrightness(knobs.brightness);
+            musicConfig.brightness = knobs.brightness;
+        }
+        if (knobs.volume !== undefined) applyVolume(knobs.volume);
+        if (preset.autoDrift) setIsAutoDriftEnabled(preset.autoDrift.enabled);
+
+        // Presets saved with advanced values restore them. Every key is sent,
+        // so values the preset leaves unset (random seed) clear the live ones.
+        if (preset.advanced) {
+            const restored = sanitizeAdvancedConfig(preset.advanced);
+            advancedFromLinkRef.current = false;
+            setAdvancedConfig(restored);
+            Object.assign(musicConfig, toSessionConfig(restored));
+        }
+        if (Object.keys(musicConfig).length) engineRouter.setMusicConfig(musicConfig);
+    }, [applyVolume]);
+
+    // Handle mixer edits - any change turns the mix into a custom one and is pushed live
+    const handleMixChange = useCallback((rows) => {
+        const prompts = resolvePrompts(rows);
+        setMixRows(rows);
+        setSelectedPreset(null);
+        setCustomPrompt(prompts.map(p => p.text).join(' + '));
+        promptMorphService.cancel();
+        engineRouter.setWeightedPrompts(prompts);
     }, []);
 
-    // Handle custom prompt submission
+    // Handle custom prompt submission - replaces the mix with a single lead prompt
     const handleCustomPrompt = useCallback((prompt) => {
         setCustomPrompt(prompt);
         setSelectedPreset(null); // Deselect preset when custom prompt used
-        liveMusicService.setWeightedPrompts([
+        setMixRows([createRow(prompt, 1.5)]);
+        promptMorphService.cancel();
+        engineRouter.setWeightedPrompts([
             { text: prompt, weight: 1.5 }
         ]);
     }, []);
 
     // Handle prompt optimization
     const handleOptimize = useCallback(async (currentPrompt) => {
-        return await liveMusicService.enhancePrompt(currentPrompt);
+        return await engineRouter.enhancePrompt(currentPrompt);
     }, []);
 
     // Handle auto-generation
     const handleAutoGenerate = useCallback(async () => {
-        const creativePrompt = await liveMusicService.generateCreativePrompt();
+        const creativePrompt = await engineRouter.generateCreativePrompt();
         // Automatically play the generated prompt
         setSelectedPreset(null);
         setCustomPrompt(creativePrompt);
-        liveMusicService.setWeightedPrompts([
+        setMixRows([createRow(creativePrompt, 1.5)]);
+        promptMorphService.cancel();
+        engineRouter.setWeightedPrompts([
             { text: creativePrompt, weight: 1.5 }
         ]);
         return creativePrompt;
@@ -220,38 +633,216 @@ export default function App() {
 
     // Handle play/pause
     const handlePlayPause = useCallback(() => {
-        liveMusicService.playPause();
+        engineRouter.playPause();
+    }, []);
+
+    // Handle record/stop - stopping downloads the WAV and marker sidecar
+    const handleRecordToggle = useCallback(() => {
+        if (recorderService.isRecording) {
+            recorderService.stopAndDownload();
+        } else {
+            recorderService.start();
+        }
     }, []);
 
+    // Keep the rolling capture window in sync with the saved setting
+    useEffect(() => {
+        recorderService.setRetroMinutes(retroMinutes);
+        localStorage.setItem('lyria-retro-minutes', retroMinutes);
+    }, [retroMinutes]);
+
+    // Export the always-on buffer without recording having been armed
+    const handleRetroCapture = useCallback(() => {
+        if (!recorderService.captureRecent()) {
+            setError('Nothing to capture yet - press play first.');
+            setTimeout(() => setError(null), 3000);
+        }
+    }, []);
+
+    // Snapshot the current mix + knobs as a set-list scene
+    const handleCaptureScene = useCallback((options) => {
+        return createScene({
+            name: selectedPreset?.name || customPrompt.slice(0, 24) || 'Scene',
+            prompts: resolvePrompts(mixRows),
+            knobs: { bpm, guidance, density, brightness },
+            ...options,
+        });
+    }, [selectedPreset, customPrompt, mixRows, bpm, guidance, density, brightness]);
+
+    // Snapshot the complete current state (prompt mix, knobs, advanced, auto-drift) as a preset
+    const handleSavePreset = useCallback((name) => {
+        if (isPresetLimitReached()) return;
+
+        const prompts = resolvePrompts(mixRows);
+        if (!prompts.length && customPrompt) prompts.push({ text: customPrompt, weight: 1.5 });
+        if (!prompts.length) {
+            setError('Nothing to save - add a prompt first.');
+            setTimeout(() => setError(null), 3000);
+            return;
+        }
+
+        const newPreset = createPresetSnapshot({
+            name,
+            prompts,
+            knobs: { bpm, guidance, density, brightness, volume },
+            advanced: advancedConfig,
+            autoDrift: { enabled: isAutoDriftEnabled },
+        });
+
+        setCustomPresets(prev => [...prev, newPreset]);
+        setSelectedPreset(newPreset);
+    }, [isPresetLimitReached, mixRows, customPrompt, bpm, guidance, density, brightness, volume, advancedConfig, isAutoDriftEnabled]);
+
+    // Copy a #mix= link that reopens the current prompts, knobs and advanced config
+    const handleCopyLink = useCallback(async () => {
+        const prompts = resolvePrompts(mixRows);
+        if (!prompts.length) {
+            setError('Nothing to share - add a prompt first.');
+            setTimeout(() => setError(null), 3000);
+            return;
+        }
+
+        const link = buildShareLink({
+            name: selectedPreset?.name || customPrompt,
+            prompts,
+            knobs: { bpm, guidance, density, brightness },
+            advanced: advancedConfig,
+        });
+        try {
+            await navigator.clipboard.writeText(link);
+            setShareStatus('copied');
+        } catch {
+            // Clipboard needs a secure context; let the user copy it by hand
+            window.prompt('Copy this link:', link);
+            setShareStatus('failed');
+        }
+        setTimeout(() => setShareStatus(null), 2000);
+    }, [mixRows, selectedPreset, customPrompt, bpm, guidance, density, brightness, advancedConfig]);
+
     // Handle BPM change
     const handleBpmChange = useCallback((newBpm) => {
         setBpm(newBpm);
-        liveMusicService.setTempo(newBpm);
+        engineRouter.setTempo(newBpm);
     }, []);
 
     // Handle real-time parameter changes
     const handleGuidanceChange = useCallback((value) => {
         setGuidance(value);
-        liveMusicService.setMusicConfig({ guidance: value });
+        engineRouter.setMusicConfig({ guidance: value });
     }, []);
 
     const handleDensityChange = useCallback((value) => {
         setDensity(value);
-        liveMusicService.setMusicConfig({ density: value });
+        engineRouter.setMusicConfig({ density: value });
     }, []);
 
     const handleBrightnessChange = useCallback((value) => {
         setBrightness(value);
-        liveMusicService.setMusicConfig({ brightness: value });
+        engineRouter.setMusicConfig({ brightness: value });
     }, []);
 
     const handleVolumeChange = useCallback((e) => {
-        const value = parseFloat(e.target.value);
-        setVolume(value);
-        localStorage.setItem('lyria-volume', value);
-        liveMusicService.setVolume(value);
+        applyVolume(parseFloat(e.target.value));
+    }, [applyVolume]);
+
+    // MIDI: CC targets drive the same handlers as the on-screen controls
+    const midiHandlersRef = useRef({});
+    midiHandlersRef.current = {
+        bpm: handleBpmChange,
+        guidance: handleGuidanceChange,
+        density: handleDensityChange,
+        brightness: handleBrightnessChange,
+        volume: applyVolume,
+        'play-pause': handlePlayPause,
+    };
+    presets.forEach(preset => {
+        midiHandlersRef.current[`preset:${preset.id}`] = () => handlePresetChange(preset);
+    });
+
+    const midiTargets = [
+        ...MIDI_CC_TARGETS,
+        { id: 'play-pause', label: 'Play / Pause', kind: 'note' },
+        ...presets.map(p => ({ id: `preset:${p.id}`, label: `Preset: ${p.name}`, kind: 'note' })),
+    ];
+
+    useEffect(() => {
+        midiTargets.forEach(target => midiService.registerTarget(target));
+        return () => midiTargets.forEach(target => midiService.unregisterTarget(target.id));
+    }, [presets.length]);
+
+    useEffect(() => {
+        const handleMidiState = (e) => setMidiState(e.detail);
+        const handleMidiControl = (e) => midiHandlersRef.current[e.detail.id]?.(e.detail.value);
+        const handleMidiTrigger = (e) => midiHandlersRef.current[e.detail.id]?.();
+
+        midiService.addEventListener('midi-state', handleMidiState);
+        midiService.addEventListener('midi-control', handleMidiControl);
+        midiService.addEventListener('midi-trigger', handleMidiTrigger);
+
+        return () => {
+            midiService.removeEventListener('midi-state', handleMidiState);
+            midiService.removeEventListener('midi-control', handleMidiControl);
+            midiService.removeEventListener('midi-trigger', handleMidiTrigger);
+        };
     }, []);
 
+    // Keep soft takeover aware of on-screen changes
+    useEffect(() => {
+        midiService.updateValue('bpm', bpm);
+        midiService.updateValue('guidance', guidance);
+        midiService.updateValue('density', density);
+        midiService.updateValue('brightness', brightness);
+        midiService.updateValue('volume', volume);
+    }, [bpm, guidance, density, brightness, volume]);
+
+    // MIDI clock out: follow the chosen port, the BPM and the transport
+    useEffect(() => {
+        localStorage.setItem('lyria-midi-clock-output', midiClockOutputId);
+        midiClockService.setOutput(midiClockOutputId ? midiService.getOutput(midiClockOutputId) : null);
+    }, [midiClockOutputId, midiState.outputs]);
+
+    useEffect(() => {
+        midiClockService.setBpm(bpm);
+    }, [bpm]);
+
+    useEffect(() => {
+        if (playbackState === 'playing') {
+            midiClockService.start(engineRouter.getAudioContext());
+        } else if (playbackState === 'paused' || playbackState === 'stopped') {
+            midiClockService.stop();
+        }
+    }, [playbackState]);
+
+    useEffect(() => () => midiClockService.stop(), []);
+
+    const handleEnableMidi = useCallback(async () => {
+        // VITE_MIDI_MOCK=true swaps in a mock controller, driven from devtools via window.promptdjMidiMock
+        if (import.meta.env.VITE_MIDI_MOCK === 'true') {
+            const access = new MockMIDIAccess();
+            window.promptdjMidiMock = access.addInput('Mock Controller');
+            window.promptdjMidiMockOutput = access.addOutput('Mock Clock Out');
+            await midiService.init(access);
+        } else if (!(await midiService.init())) {
+            setError('MIDI is unavailable in this browser.');
+            setTimeout(() => setError(null), 3000);
+        }
+    }, []);
+
+    const handleToggleMidiLearn = useCallback(() => {
+        setIsMidiLearnMode(prev => {
+            if (prev) midiService.cancelLearn();
+            return !prev;
+        });
+    }, []);
+
+    // Knob props for MIDI-learn
+    const midiFor = (id) => ({
+        learnMode: isMidiLearnMode,
+        isLearning: midiState.learnTarget === id,
+        binding: midiState.mappings[id] ? midiService.describeMapping(id) : null,
+        onLearn: () => midiService.startLearn(id),
+    });
+
     // Format listening time as MM:SS
     const formatTime = (seconds) => {
         const m = Math.floor(seconds / 60);
@@ -292,27 +883,48 @@ export default function App() {
                 </div>
             )}
 
-            {/* Reconnecting Banner */}
-            {reconnectStatus && (
+            {/* Reconnecting Banner (also shown for a stalled stream) */}
+            {(reconnectStatus || stallStatus) && (
                 <div
-                    className="fixed top-4 left-1/2 -translate-x-1/2 px-6 py-3 border flex items-center gap-4 z-50 shadow-lg animate-pulse"
+                    className="fixed top-4 left-1/2 -translate-x-1/2 px-6 py-3 border flex items-center gap-4 z-50 shadow-lg"
                     style={{
                         backgroundColor: '#1F1E1D',
                         borderColor: '#E8A735', // Yellow/Gold for warning
                         color: '#F5F3EE'
                     }}
                 >
-                    <div className="flex flex-col items-center">
-                        <span className="text-sm font-bold uppercase tracking-wider">Connection Lost</span>
+                    <div className="flex flex-col items-center animate-pulse">
+                        <span className="text-sm font-bold uppercase tracking-wider">
+                            {stallStatus ? 'Stream Stalled' : 'Connection Lost'}
+                        </span>
                         <span className="text-xs text-[#E8A735]">
-                            Reconnecting (Attempt {reconnectStatus.attempt}/{reconnectStatus.max})...
+                            {stallStatus && `No audio for ${Math.round(stallStatus.silentFor)}s · `}
+                            {reconnectStatus?.offline
+                                ? 'Offline · waiting for network...'
+                                : reconnectStatus
+                                    ? `Reconnecting (Attempt ${reconnectStatus.attempt}${reconnectStatus.max ? `/${reconnectStatus.max}` : ''})...`
+                                    : 'Reconnecting...'}
                         </span>
                     </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => engineRouter.retryReconnectNow()}
+                            className="px-3 py-1 border border-[#E8A735] text-[#E8A735] text-xs uppercase font-bold tracking-wider hover:bg-[#E8A735] hover:text-[#1F1E1D] transition-colors"
+                        >
+                            Retry now
+                        </button>
+                        <button
+                            onClick={() => engineRouter.giveUpReconnect()}
+                            className="px-3 py-1 bg-terracotta text-white text-xs uppercase font-bold tracking-wider hover:bg-opacity-80 transition-opacity"
+                        >
+                            Give up → fallback
+                        </button>
+                    </div>
                 </div>
             )}
 
             {/* Fallback Mode Indicator */}
-            {activeEngine === 'fallback' && !reconnectStatus && (
+            {activeEngine === 'synth' && isEngineFailover && !reconnectStatus && !stallStatus && (
                 <div
                     className="fixed top-4 left-1/2 -translate-x-1/2 px-6 py-3 border flex items-center gap-4 z-50 shadow-lg"
                     style={{
@@ -327,7 +939,7 @@ export default function App() {
                     </div>
                     <button
                         onClick={async () => {
-                            const success = await liveMusicService.reconnect();
+                            const success = await engineRouter.reconnect();
                             if (success) {
                                 setError(null);
                             } else {
@@ -352,7 +964,21 @@ export default function App() {
                         onPresetChange={handlePresetChange}
                         onSave={handleSavePreset}
                         onDelete={handleDeletePreset}
+                        onUpdate={handleUpdatePreset}
+                        onDuplicate={handleDuplicatePreset}
+                        onReorder={handleReorderPresets}
+                        onImport={handleImportPresets}
+                        promptsOnly={presetPromptsOnly}
+                        onPromptsOnlyChange={setPresetPromptsOnly}
                     />
+                    <div className="mt-4">
+                        <MorphControls
+                            settings={morphSettings}
+                            onChange={setMorphSettings}
+                            progress={morphProgress}
+                            onSkip={() => promptMorphService.finish()}
+                        />
+                    </div>
                 </section>
 
                 {/* Custom Prompt Console */}
@@ -362,6 +988,9 @@ export default function App() {
                         onOptimize={handleOptimize}
                         onAutoGenerate={handleAutoGenerate}
                         isPlaying={playbackState === 'playing'}
+                        rows={mixRows}
+                        onRowsChange={handleMixChange}
+                        filteredPrompts={filteredPrompts}
                     />
                 </section>
 
@@ -375,38 +1004,65 @@ export default function App() {
                             Parameters
                         </h2>
 
-                        {/* Auto-Drift Toggle */}
-                        <button
-                            onClick={() => setIsAutoDriftEnabled(!isAutoDriftEnabled)}
-                            className={`
-                                flex items-center gap-2 px-3 py-1 
-                                text-xs font-serif uppercase tracking-wider
-                                border transition-all duration-300
-                            `}
-                            style={{
-                                backgroundColor: isAutoDriftEnabled ? '#1F1E1D' : 'transparent',
-                                borderColor: isAutoDriftEnabled ? '#1F1E1D' : '#B1ADA1',
-                                color: isAutoDriftEnabled ? '#F5F3EE' : '#B1ADA1',
-                            }}
-                            title="Automatically varies parameters every 3 minutes"
-                        >
-                            <span className={`w-2 h-2 rounded-full ${isAutoDriftEnabled ? 'animate-pulse bg-terracotta' : 'bg-gray-400'}`}></span>
-                            Auto-Drift: {isAutoDriftEnabled ? 'ON' : 'OFF'}
-                        </button>
+                        <div className="flex items-center gap-3">
+                            {/* Advanced Panel Toggle */}
+                            <button
+                                onClick={() => setIsAdvancedOpen(!isAdvancedOpen)}
+                                className="flex items-center gap-2 px-3 py-1 text-xs font-serif uppercase tracking-wider border transition-all duration-300"
+                                style={{
+                                    backgroundColor: isAdvancedOpen ? '#1F1E1D' : 'transparent',
+                                    borderColor: isAdvancedOpen ? '#1F1E1D' : '#B1ADA1',
+                                    color: isAdvancedOpen ? '#F5F3EE' : '#B1ADA1',
+                                }}
+                                title="Scale, temperature, top-k, seed and stem mutes"
+                            >
+                                Advanced {isAdvancedOpen ? '▴' : '▾'}
+                            </button>
+
+                            {/* Auto-Drift Toggle */}
+                            <button
+                                onClick={() => setIsAutoDriftEnabled(!isAutoDriftEnabled)}
+                                className={`
+                                    flex items-center gap-2 px-3 py-1 
+                                    text-xs font-serif uppercase tracking-wider
+                                    border transition-all duration-300
+                                `}
+                                style={{
+                                    backgroundColor: isAutoDriftEnabled ? '#1F1E1D' : 'transparent',
+                                    borderColor: isAutoDriftEnabled ? '#1F1E1D' : '#B1ADA1',
+                                    color: isAutoDriftEnabled ? '#F5F3EE' : '#B1ADA1',
+                                }}
+                                title="Automatically varies parameters every 3 minutes"
+                            >
+                                <span className={`w-2 h-2 rounded-full ${isAutoDriftEnabled ? 'animate-pulse bg-terracotta' : 'bg-gray-400'}`}></span>
+                                Auto-Drift: {isAutoDriftEnabled ? 'ON' : 'OFF'}
+                            </button>
+                        </div>
                     </div>
 
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-8 justify-items-center">
-                        <Knob
-                            label="BPM"
-                            min={60}
-                            max={200}
-                            step={1}
-                            value={bpm}
-                            onChange={handleBpmChange}
-                            defaultValue={90}
-                            formatValue={(v) => Math.round(v).toString()}
-                            tooltip="Beats per minute. Stop/Play required to apply."
-                        />
+                        <div className="relative flex flex-col items-center">
+                            <Knob
+                                label="BPM"
+                                min={60}
+                                max={200}
+                                step={1}
+                                value={bpm}
+                                onChange={handleBpmChange}
+                                defaultValue={90}
+                                formatValue={(v) => Math.round(v).toString()}
+                                tooltip="Beats per minute. Applied with a short context reset."
+                                midi={midiFor('bpm')}
+                            />
+                            {applyingResetKeys.includes('bpm') && (
+                                <span
+                                    className="absolute -bottom-5 whitespace-nowrap font-serif text-xs italic animate-pulse"
+                                    style={{ color: '#C15F3C' }}
+                                >
+                                    Applying tempo…
+                                </span>
+                            )}
+                        </div>
 
                         <Knob
                             label="Guidance"
@@ -418,6 +1074,7 @@ export default function App() {
                             defaultValue={4.0}
                             formatValue={(v) => v.toFixed(1)}
                             tooltip="How strictly the model follows your prompt (Higher = stricter)"
+                            midi={midiFor('guidance')}
                         />
 
                         <Knob
@@ -430,6 +1087,7 @@ export default function App() {
                             defaultValue={0.5}
                             formatValue={(v) => v.toFixed(2)}
                             tooltip="Note density: Sparser (low) vs Busier (high)"
+                            midi={midiFor('density')}
                         />
 
                         <Knob
@@ -442,6 +1100,32 @@ export default function App() {
                             defaultValue={0.5}
                             formatValue={(v) => v.toFixed(2)}
                             tooltip="Tonal quality: Darker (low) vs Brighter (high)"
+                            midi={midiFor('brightness')}
+                        />
+                    </div>
+
+                    {isAdvancedOpen && (
+                        <div className="mt-8">
+                            <AdvancedPanel
+                                config={advancedConfig}
+                                onChange={handleAdvancedChange}
+                                applyingKeys={applyingResetKeys}
+                            />
+                        </div>
+                    )}
+
+                    <div className="mt-8">
+                        <MidiPanel
+                            midiState={midiState}
+                            targets={midiTargets}
+                            learnMode={isMidiLearnMode}
+                            onEnable={handleEnableMidi}
+                            onToggleLearnMode={handleToggleMidiLearn}
+                            onLearn={(id) => midiService.startLearn(id)}
+                            onClear={(id) => midiService.clearMapping(id)}
+                            describeMapping={(id) => midiService.describeMapping(id)}
+                            clockOutputId={midiClockOutputId}
+                            onClockOutputChange={setMidiClockOutputId}
                         />
                     </div>
                 </section>
@@ -456,6 +1140,35 @@ export default function App() {
                         onClick={handlePlayPause}
                     />
 
+                    <Visualizer
+                        getAnalyser={getAnalyser}
+                        isActive={playbackState === 'playing'}
+                        mode={visualizerMode}
+                        onModeChange={setVisualizerMode}
+                    />
+
+                    <div className="flex items-center gap-3">
+                        <RecordButton
+                            isRecording={isRecording}
+                            duration={recordingDuration}
+                            disabled={playbackState !== 'playing'}
+                            onClick={handleRecordToggle}
+                        />
+                        <RetroCapture
+                            minutes={retroMinutes}
+                            onMinutesChange={setRetroMinutes}
+                            onCapture={handleRetroCapture}
+                        />
+                        <button
+                            onClick={handleCopyLink}
+                            className="px-4 py-2 border font-serif text-xs uppercase tracking-widest transition-colors duration-150 hover:bg-[#1F1E1D] hover:text-[#F5F3EE]"
+                            style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                            title="Copy a link that opens this mix (prompts, knobs, advanced settings)"
+                        >
+                            {shareStatus === 'copied' ? '✓ Link copied' : '🔗 Copy link'}
+                        </button>
+                    </div>
+
                     {/* Volume Slider */}
                     <div className="flex items-center gap-3 w-48">
                         <span className="text-xs font-serif" style={{ color: '#B1ADA1' }}>🔈</span>
@@ -470,7 +1183,7 @@ export default function App() {
                             style={{
                                 background: `linear-gradient(to right, #C15F3C ${((volume - 0.25) / 1.5) * 100}%, #B1ADA1 ${((volume - 0.25) / 1.5) * 100}%)`,
                             }}
-                            title={`Volume: ${Math.round(volume * 100)}%`}
+                            title={`Volume: ${Math.round(volume * 100)}%${midiState.mappings.volume ? ` · ${midiService.describeMapping('volume')}` : ''}`}
                         />
                         <span className="text-xs font-serif" style={{ color: '#B1ADA1' }}>🔊</span>
                     </div>
@@ -484,10 +1197,66 @@ export default function App() {
                             <span className="tabular-nums">⏱ {formatTime(listeningTime)}</span>
                             <span>•</span>
                             <span className="italic">{selectedPreset?.name || customPrompt || 'Custom'}</span>
+                            {sequencerState.isRunning && (
+                                <>
+                                    <span>•</span>
+                                    <span className="tabular-nums">
+                                        Scene {sequencerState.index + 1}{sequencerState.isHeld ? ' (held)' : ''}
+                                    </span>
+                                </>
+                            )}
+                            {activeEngine === 'lyria' && bufferStats && (
+                                <>
+                                    <span>•</span>
+                                    <span
+                                        className="tabular-nums"
+                                        style={{ color: bufferStats.bufferedAhead < 0.5 ? '#C15F3C' : '#B1ADA1' }}
+                                        title={`Target latency ${bufferStats.targetLatency.toFixed(2)}s · jitter ${(bufferStats.jitter * 1000).toFixed(0)}ms · ${bufferStats.lateChunks} late chunk(s)`}
+                                    >
+                                        ▮ {bufferStats.bufferedAhead.toFixed(1)}s buffer
+                                        {bufferStats.underruns > 0 && ` · ${bufferStats.underruns} dropout${bufferStats.underruns === 1 ? '' : 's'}`}
+                                    </span>
+                                </>
+                            )}
                         </div>
                     )}
                 </section>
 
+                {/* Set List Sequencer */}
+                <section>
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-sm uppercase tracking-widest" style={{ color: '#B1ADA1' }}>
+                            Set List
+                        </h2>
+                        <button
+                            onClick={() => setIsSetListOpen(!isSetListOpen)}
+                            className="px-3 py-1 text-xs font-serif uppercase tracking-wider border transition-all duration-300"
+                            style={{
+                                backgroundColor: isSetListOpen ? '#1F1E1D' : 'transparent',
+                                borderColor: isSetListOpen ? '#1F1E1D' : '#B1ADA1',
+                                color: isSetListOpen ? '#F5F3EE' : '#B1ADA1',
+                            }}
+                        >
+                            {isSetListOpen ? 'Hide ▴' : 'Show ▾'}
+                        </button>
+                    </div>
+
+                    {isSetListOpen && (
+                        <SetListPanel
+                            setLists={setLists}
+                            onSetListsChange={setSetLists}
+                            sequencerState={sequencerState}
+                            onCaptureScene={handleCaptureScene}
+                            onStart={(setList, index) => sceneSequencer.start(setList, index)}
+                            onStop={() => sceneSequencer.stop()}
+                            onSkip={() => sceneSequencer.skip()}
+                            onHold={(isHeld) => sceneSequencer.setHold(isHeld)}
+                            onLoop={(loop) => sceneSequencer.setLoop(loop)}
+                            onJump={(index) => sceneSequencer.jumpTo(index)}
+                        />
+                    )}
+                </section>
+
                 {/* Active Prompt Display (when not playing) */}
                 {playbackState !== 'playing' && (selectedPreset || customPrompt) && (
                     <section className="text-center">
@@ -496,6 +1265,7 @@ export default function App() {
                             style={{ color: '#B1ADA1' }}
                         >
                             Ready: {selectedPreset?.name || `"${customPrompt}"`}
+                            {isFromShareLink && ' · from a shared link, press play to start'}
                         </p>
                     </section>
                 )}
@@ -511,17 +1281,53 @@ export default function App() {
                         className="px-2 py-1 text-xs uppercase tracking-wider"
                         style={{
                             backgroundColor: activeEngine === 'lyria' ? '#C15F3C' :
-                                activeEngine === 'fallback' ? '#B1ADA1' : 'transparent',
+                                activeEngine === 'synth' ? '#B1ADA1' : 'transparent',
                             color: activeEngine === 'none' ? '#B1ADA1' : '#F5F3EE',
                             border: '1px solid',
                             borderColor: activeEngine === 'lyria' ? '#C15F3C' : '#B1ADA1'
                         }}
                     >
                         {activeEngine === 'lyria' ? '🎵 Lyria AI' :
-                            activeEngine === 'fallback' ? '🎹 Fallback Synth' :
+                            activeEngine === 'synth' ? '🎹 Fallback Synth' :
                                 '○ Ready'}
                     </span>
+                    <select
+                        value={enginePolicy}
+                        onChange={(e) => setEnginePolicy(e.target.value)}
+                        className="px-2 py-1 text-xs cursor-pointer"
+                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                        title="Which music engine plays"
+                    >
+                        <option value="auto">Auto (failover)</option>
+                        {engineRouter.getEngines().map(engine => (
+                            <option key={engine.id} value={engine.id} disabled={!engine.isAvailable}>
+                                {engine.label} only
+                            </option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+                        className="px-2 py-1 text-xs uppercase tracking-wider border transition-all duration-300"
+                        style={{
+                            backgroundColor: isSettingsOpen ? '#1F1E1D' : 'transparent',
+                            borderColor: isSettingsOpen ? '#1F1E1D' : '#B1ADA1',
+                            color: isSettingsOpen ? '#F5F3EE' : '#B1ADA1',
+                        }}
+                        title="API key, models and buffer latency"
+                    >
+                        ⚙ Settings
+                    </button>
                 </div>
+                {isSettingsOpen && (
+                    <div className="w-full max-w-2xl mx-auto my-4">
+                        <SettingsPanel
+                            settings={engineSettings}
+                            keySource={keySource}
+                            onChange={handleSettingsChange}
+                            onValidateKey={handleValidateKey}
+                        />
+                    </div>
+                )}
                 Powered by Google Lyria RealTime
             </footer>
         </div>
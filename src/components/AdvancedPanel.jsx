@@ -0,0 +1,126 @@
+/**
+ * AdvancedPanel.jsx - Extra Lyria generation parameters beside the Knobs
+ * Scale/key, temperature, top-k, seed and stem mutes, validated per spec
+ */
+import { useState, useEffect } from 'react';
+import { ADVANCED_PARAMS, RESET_KEYS, validateParam } from '../utils/musicConfig';
+
+export default function AdvancedPanel({ config, onChange, applyingKeys = [] }) {
+    return (
+        <div
+            className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4 p-4 border font-serif text-sm"
+            style={{ borderColor: '#B1ADA1' }}
+        >
+            {ADVANCED_PARAMS.map(spec => (
+                <ParamField
+                    key={spec.key}
+                    spec={spec}
+                    value={config[spec.key]}
+                    needsReset={RESET_KEYS.includes(spec.key)}
+                    isApplying={applyingKeys.includes(spec.key)}
+                    onChange={(value) => onChange({ [spec.key]: value })}
+                />
+            ))}
+        </div>
+    );
+}
+
+/**
+ * One labelled control; number fields keep a local draft and only
+ * report values that pass validation
+ */
+function ParamField({ spec, value, needsReset, isApplying, onChange }) {
+    const [draft, setDraft] = useState(value === null ? '' : String(value));
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setDraft(value === null ? '' : String(value));
+        setError(null);
+    }, [value]);
+
+    const commitNumber = () => {
+        const parsed = draft.trim() === '' ? null : Number(draft);
+        if (parsed === value) return;
+        const message = validateParam(spec.key, parsed);
+        if (message) {
+            setError(message);
+            return;
+        }
+        setError(null);
+        onChange(parsed);
+    };
+
+    const label = (
+        <span className="flex items-center gap-2 text-xs uppercase tracking-wider" style={{ color: '#B1ADA1' }}>
+            {spec.label}
+            {needsReset && (
+                <span title="Applied with a short context reset" style={{ color: '#C15F3C' }}>↻</span>
+            )}
+            {isApplying && (
+                <span className="normal-case italic animate-pulse" style={{ color: '#C15F3C' }}>applying…</span>
+            )}
+        </span>
+    );
+
+    if (spec.type === 'toggle') {
+        return (
+            <label className="flex items-center justify-between gap-4 cursor-pointer">
+                {label}
+                <button
+                    type="button"
+                    onClick={() => onChange(!value)}
+                    className="px-3 py-1 text-xs uppercase tracking-wider border"
+                    style={{
+                        backgroundColor: value ? '#1F1E1D' : 'transparent',
+                        borderColor: value ? '#1F1E1D' : '#B1ADA1',
+                        color: value ? '#F5F3EE' : '#B1ADA1',
+                    }}
+                >
+                    {value ? 'On' : 'Off'}
+                </button>
+            </label>
+        );
+    }
+
+    if (spec.type === 'select') {
+        return (
+            <label className="flex items-center justify-between gap-4">
+                {label}
+                <select
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    className="px-2 py-1 cursor-pointer"
+                    style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                >
+                    {spec.options.map(o => (
+                        <option key={o.value} value={o.value}>{o.label}</option>
+                    ))}
+                </select>
+            </label>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-1">
+            <label className="flex items-center justify-between gap-4">
+                {label}
+                <input
+                    type="number"
+                    min={spec.min}
+                    max={spec.max}
+                    step={spec.step}
+                    value={draft}
+                    placeholder={spec.default === null ? 'Random' : ''}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={commitNumber}
+                    onKeyDown={(e) => e.key === 'Enter' && commitNumber()}
+                    className="w-28 px-2 py-1 text-right tabular-nums"
+                    style={{ borderColor: error ? '#C15F3C' : '#B1ADA1', color: '#1F1E1D' }}
+                />
+            </label>
+            {error && (
+                <span className="text-xs italic text-right" style={{ color: '#C15F3C' }}>{error}</span>
+            )}
+        </div>
+    );
+}
@@ -2,6 +2,7 @@
  * Knob.jsx - SVG-based rotary dial component
  * Uses requestAnimationFrame for smooth visual updates
  * Hold Shift for fine control, double-click to reset
+ * In MIDI-learn mode a click arms the knob for binding instead of dragging
  */
 import { useState, useRef, useCallback, useEffect } from 'react';
 
@@ -14,7 +15,8 @@ export default function Knob({
     step = 0.01,
     defaultValue,
     tooltip = '',
-    formatValue = (v) => v.toFixed(2)
+    formatValue = (v) => v.toFixed(2),
+    midi = null // { learnMode, isLearning, binding, onLearn }
 }) {
     const [isDragging, setIsDragging] = useState(false);
     const [isActive, setIsActive] = useState(false);
@@ -34,6 +36,10 @@ export default function Knob({
 
     const handlePointerDown = useCallback((e) => {
         e.preventDefault();
+        if (midi?.learnMode) {
+            midi.onLearn();
+            return;
+        }
         setIsDragging(true);
         setIsActive(true);
         setIsFineMode(e.shiftKey);
@@ -45,7 +51,7 @@ export default function Knob({
         window.addEventListener('pointerup', handlePointerUp);
         window.addEventListener('keydown', handleKeyDown);
         window.addEventListener('keyup', handleKeyUp);
-    }, [value]);
+    }, [value, midi]);
 
     const handleKeyDown = useCallback((e) => {
         if (e.key === 'Shift') setIsFineMode(true);
@@ -132,7 +138,7 @@ export default function Knob({
         };
     }, [handleWheel]);
 
-    const strokeColor = isActive ? '#C15F3C' : '#1F1E1D';
+    const strokeColor = isActive || midi?.isLearning ? '#C15F3C' : '#1F1E1D';
     const trackColor = '#B1ADA1';
 
     return (
@@ -161,9 +167,10 @@ export default function Knob({
                     cy="40"
                     r="35"
                     fill="none"
-                    stroke={trackColor}
+                    stroke={midi?.learnMode ? '#C15F3C' : trackColor}
                     strokeWidth="2"
                     strokeDasharray="4 2"
+                    className={midi?.isLearning ? 'animate-pulse' : ''}
                 />
 
                 {/* Main dial circle */}
@@ -222,6 +229,12 @@ export default function Knob({
                     {label}
                 </span>
 
+                {midi?.binding && (
+                    <span className="text-[10px] font-serif tabular-nums" style={{ color: '#B1ADA1' }}>
+                        {midi.binding}
+                    </span>
+                )}
+
                 {tooltip && (
                     <div className="absolute bottom-full mb-2 px-3 py-2 bg-gray-800 text-white text-xs rounded opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10 pointer-events-none">
                         {tooltip}
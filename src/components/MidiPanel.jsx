@@ -0,0 +1,115 @@
+/**
+ * MidiPanel.jsx - MIDI controller status, learn mode, binding list and clock output
+ */
+
+export default function MidiPanel({
+    midiState,
+    targets,
+    learnMode,
+    onEnable,
+    onToggleLearnMode,
+    onLearn,
+    onClear,
+    describeMapping,
+    clockOutputId,
+    onClockOutputChange,
+}) {
+    if (!midiState.isReady) {
+        return (
+            <div className="flex items-center gap-4 font-serif text-xs" style={{ color: '#B1ADA1' }}>
+                <button
+                    onClick={onEnable}
+                    className="px-3 py-1 uppercase tracking-wider border"
+                    style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                >
+                    🎹 Enable MIDI
+                </button>
+                <span className="italic">Bind hardware knobs and pads to the controls</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-3 font-serif text-xs" style={{ color: '#B1ADA1' }}>
+            <div className="flex flex-wrap items-center gap-4">
+                <button
+                    onClick={onToggleLearnMode}
+                    className="px-3 py-1 uppercase tracking-wider border transition-all duration-300"
+                    style={{
+                        backgroundColor: learnMode ? '#C15F3C' : 'transparent',
+                        borderColor: learnMode ? '#C15F3C' : '#B1ADA1',
+                        color: learnMode ? '#F5F3EE' : '#1F1E1D',
+                    }}
+                    title="Click a control, then move a knob or hit a pad on your controller"
+                >
+                    🎓 MIDI Learn: {learnMode ? 'ON' : 'OFF'}
+                </button>
+                <span className="italic">
+                    {midiState.inputs.length ? `Inputs: ${midiState.inputs.join(', ')}` : 'No MIDI inputs connected'}
+                </span>
+                <label className="flex items-center gap-2 md:ml-auto" title="Send 24 ppqn clock with start/stop at the current BPM">
+                    ⏱️ Clock out
+                    <select
+                        value={clockOutputId}
+                        onChange={(e) => onClockOutputChange(e.target.value)}
+                        className="px-2 py-1 cursor-pointer"
+                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                    >
+                        <option value="">Off</option>
+                        {midiState.outputs.map(output => (
+                            <option key={output.id} value={output.id}>{output.name}</option>
+                        ))}
+                        {clockOutputId && !midiState.outputs.some(o => o.id === clockOutputId) && (
+                            <option value={clockOutputId} disabled>Disconnected</option>
+                        )}
+                    </select>
+                </label>
+            </div>
+
+            {learnMode && (
+                <ul className="grid grid-cols-1 md:grid-cols-2 gap-x-8">
+                    {targets.map(target => {
+                        const isLearning = midiState.learnTarget === target.id;
+                        const binding = describeMapping(target.id);
+
+                        return (
+                            <li
+                                key={target.id}
+                                className="flex items-center justify-between gap-3 py-1 border-b"
+                                style={{ borderColor: '#B1ADA1' }}
+                            >
+                                <span style={{ color: '#1F1E1D' }}>
+                                    {target.label}
+                                    <span className="ml-2 italic" style={{ color: '#B1ADA1' }}>
+                                        {target.kind === 'cc' ? 'CC' : 'Note'}
+                                    </span>
+                                </span>
+                                <span className="flex items-center gap-2">
+                                    <span className={`tabular-nums ${isLearning ? 'animate-pulse' : ''}`} style={{ color: isLearning ? '#C15F3C' : '#B1ADA1' }}>
+                                        {isLearning ? 'Waiting…' : binding || '—'}
+                                    </span>
+                                    <button
+                                        onClick={() => onLearn(target.id)}
+                                        className="px-2 border-0 uppercase tracking-wider hover:underline"
+                                        style={{ color: '#C15F3C' }}
+                                    >
+                                        Learn
+                                    </button>
+                                    {binding && (
+                                        <button
+                                            onClick={() => onClear(target.id)}
+                                            className="px-1 border-0 hover:text-[#C15F3C]"
+                                            title="Clear binding"
+                                        >
+                                            ×
+                                        </button>
+                                    )}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
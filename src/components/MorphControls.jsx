@@ -0,0 +1,88 @@
+/**
+ * MorphControls.jsx - Morph mode toggle, duration, easing and progress bar
+ * Sits under PresetSelector; preset switches glide instead of jumping when on
+ */
+
+const EASING_LABELS = {
+    linear: 'Linear',
+    easeIn: 'Ease In',
+    easeOut: 'Ease Out',
+    easeInOut: 'Ease In-Out',
+    equalPower: 'Equal Power',
+};
+
+export default function MorphControls({ settings, onChange, progress = null, onSkip }) {
+    const { enabled, duration, easing } = settings;
+    const isMorphing = progress !== null && progress < 1;
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-4 font-serif text-xs" style={{ color: '#B1ADA1' }}>
+                <button
+                    onClick={() => onChange({ ...settings, enabled: !enabled })}
+                    className="flex items-center gap-2 px-3 py-1 uppercase tracking-wider border transition-all duration-300"
+                    style={{
+                        backgroundColor: enabled ? '#1F1E1D' : 'transparent',
+                        borderColor: enabled ? '#1F1E1D' : '#B1ADA1',
+                        color: enabled ? '#F5F3EE' : '#B1ADA1',
+                    }}
+                    title="Glide between presets instead of switching instantly"
+                >
+                    🌗 Morph: {enabled ? 'ON' : 'OFF'}
+                </button>
+
+                {enabled && (
+                    <>
+                        <label className="flex items-center gap-2">
+                            <span className="uppercase tracking-wider">Time</span>
+                            <input
+                                type="range"
+                                min="8"
+                                max="60"
+                                step="1"
+                                value={duration}
+                                onChange={(e) => onChange({ ...settings, duration: parseInt(e.target.value, 10) })}
+                                className="w-24 cursor-pointer"
+                            />
+                            <span className="tabular-nums w-8" style={{ color: '#1F1E1D' }}>{duration}s</span>
+                        </label>
+
+                        <label className="flex items-center gap-2">
+                            <span className="uppercase tracking-wider">Curve</span>
+                            <select
+                                value={easing}
+                                onChange={(e) => onChange({ ...settings, easing: e.target.value })}
+                                className="px-2 py-1 cursor-pointer"
+                                style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                            >
+                                {Object.entries(EASING_LABELS).map(([key, name]) => (
+                                    <option key={key} value={key}>{name}</option>
+                                ))}
+                            </select>
+                        </label>
+                    </>
+                )}
+            </div>
+
+            {/* Progress indicator */}
+            {isMorphing && (
+                <div className="flex items-center gap-3 font-serif text-xs" style={{ color: '#B1ADA1' }}>
+                    <div className="flex-1 h-1" style={{ backgroundColor: '#B1ADA1' }}>
+                        <div
+                            className="h-full transition-all duration-500 ease-linear"
+                            style={{ width: `${progress * 100}%`, backgroundColor: '#C15F3C' }}
+                        />
+                    </div>
+                    <span className="tabular-nums italic">Morphing {Math.round(progress * 100)}%</span>
+                    <button
+                        onClick={onSkip}
+                        className="px-2 border-0 uppercase tracking-wider hover:underline"
+                        style={{ color: '#C15F3C' }}
+                    >
+                        Skip
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
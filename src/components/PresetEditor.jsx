@@ -0,0 +1,173 @@
+/**
+ * PresetEditor.jsx - Edit a custom preset's name, description, tags and prompts
+ * Works on a local draft; nothing reaches the parent until Save
+ */
+import { useState } from 'react';
+import { MIN_WEIGHT, MAX_WEIGHT, DEFAULT_WEIGHT } from '../utils/promptMix';
+import { PRESET_NAME_LENGTH, normalizeTags, sanitizePrompts } from '../utils/presetState';
+import { MAX_DESCRIPTION_LENGTH, MAX_PROMPT_LENGTH, MAX_PROMPTS } from '../utils/presetTransfer';
+
+export default function PresetEditor({ preset, onSave, onCancel }) {
+    const [name, setName] = useState(preset.name);
+    const [description, setDescription] = useState(preset.description || '');
+    const [tags, setTags] = useState((preset.tags || []).join(', '));
+    // Weights stay as typed until Save so a cleared field isn't stored as NaN
+    const [prompts, setPrompts] = useState(() => preset.prompts.map(p => ({ ...p, weight: String(p.weight) })));
+    const [error, setError] = useState(null);
+
+    const updatePrompt = (index, changes) => {
+        setPrompts(prompts.map((p, i) => (i === index ? { ...p, ...changes } : p)));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) {
+            setError('Name is required');
+            return;
+        }
+        const badWeight = prompts.findIndex(p => {
+            if (!p.text.trim()) return false; // Empty rows are dropped anyway
+            const weight = p.weight.trim() === '' ? NaN : Number(p.weight);
+            return Number.isNaN(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT;
+        });
+        if (badWeight !== -1) {
+            setError(`Prompt ${badWeight + 1}: weight must be ${MIN_WEIGHT}–${MAX_WEIGHT}`);
+            return;
+        }
+        const cleanPrompts = sanitizePrompts(prompts.map(p => ({ text: p.text, weight: Number(p.weight) })));
+        if (!cleanPrompts.length) {
+            setError('Add at least one prompt');
+            return;
+        }
+        if (cleanPrompts.length > MAX_PROMPTS) {
+            setError(`At most ${MAX_PROMPTS} prompts`);
+            return;
+        }
+        onSave({
+            ...preset,
+            name: name.trim(),
+            description: description.trim(),
+            tags: normalizeTags(tags),
+            prompts: cleanPrompts,
+        });
+    };
+
+    const inputStyle = { borderColor: '#B1ADA1', color: '#1F1E1D' };
+    const label = (text) => (
+        <span className="text-xs uppercase tracking-wider" style={{ color: '#B1ADA1' }}>{text}</span>
+    );
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            className="flex flex-col gap-3 p-4 border font-serif text-sm"
+            style={{ borderColor: '#1F1E1D' }}
+        >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="flex flex-col gap-1">
+                    {label('Name')}
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        maxLength={PRESET_NAME_LENGTH}
+                        className="px-2 py-1"
+                        style={inputStyle}
+                        autoFocus
+                    />
+                </label>
+                <label className="flex flex-col gap-1">
+                    {label('Tags')}
+                    <input
+                        type="text"
+                        value={tags}
+                        onChange={(e) => setTags(e.target.value)}
+                        placeholder="chill, focus"
+                        className="px-2 py-1"
+                        style={inputStyle}
+                    />
+                </label>
+            </div>
+
+            <label className="flex flex-col gap-1">
+                {label('Description')}
+                <input
+                    type="text"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    maxLength={MAX_DESCRIPTION_LENGTH}
+                    className="px-2 py-1"
+                    style={inputStyle}
+                />
+            </label>
+
+            <div className="flex flex-col gap-2">
+                {label('Prompts')}
+                {prompts.map((prompt, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={prompt.text}
+                            onChange={(e) => updatePrompt(index, { text: e.target.value })}
+                            maxLength={MAX_PROMPT_LENGTH}
+                            className="flex-1 px-2 py-1"
+                            style={inputStyle}
+                        />
+                        <input
+                            type="number"
+                            min={MIN_WEIGHT}
+                            max={MAX_WEIGHT}
+                            step="0.05"
+                            value={prompt.weight}
+                            onChange={(e) => updatePrompt(index, { weight: e.target.value })}
+                            className="w-20 px-2 py-1 text-right tabular-nums"
+                            style={inputStyle}
+                            title="Prompt weight"
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setPrompts(prompts.filter((_, i) => i !== index))}
+                            disabled={prompts.length === 1}
+                            className="w-6 h-6 text-xs disabled:opacity-30"
+                            style={{ color: '#C15F3C' }}
+                            title="Remove prompt"
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+                <button
+                    type="button"
+                    onClick={() => setPrompts([...prompts, { text: '', weight: String(DEFAULT_WEIGHT) }])}
+                    disabled={prompts.length >= MAX_PROMPTS}
+                    className="self-start text-xs uppercase tracking-wider hover:underline disabled:opacity-30 disabled:no-underline"
+                    style={{ color: '#C15F3C' }}
+                >
+                    + Add prompt
+                </button>
+            </div>
+
+            {error && (
+                <span className="text-xs italic" style={{ color: '#C15F3C' }}>{error}</span>
+            )}
+
+            <div className="flex gap-2">
+                <button
+                    type="submit"
+                    className="px-3 py-1 text-xs uppercase tracking-wider border"
+                    style={{ backgroundColor: '#1F1E1D', borderColor: '#1F1E1D', color: '#F5F3EE' }}
+                >
+                    Save
+                </button>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-3 py-1 text-xs uppercase tracking-wider border"
+                    style={{ borderColor: '#B1ADA1', color: '#B1ADA1' }}
+                >
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -1,8 +1,16 @@
 /**
  * PresetSelector.jsx - Radio group for music presets
- * Supports custom presets, saving, and deletion
+ * Supports custom presets: saving, editing, duplicating, drag to reorder,
+ * deletion and JSON import/export, plus a tag/search filter. Saving snapshots the whole current
+ * state (prompts, knobs, advanced config, auto-drift) in the parent.
  */
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
+import PresetEditor from './PresetEditor';
+import PresetTransfer from './PresetTransfer';
+import { MAX_PRESETS, PRESET_NAME_LENGTH, describeKnobs, matchesPresetFilter } from '../utils/presetState';
+
+// Show the search/tag filter once the list is this long
+const FILTER_THRESHOLD = 10;
 
 // Default built-in presets
 const PRESETS = [
@@ -14,7 +22,8 @@ const PRESETS = [
             { text: 'Soft piano', weight: 0.8 },
             { text: 'Vinyl crackle', weight: 0.4 },
         ],
-        description: 'Classic calm beats for studying'
+        description: 'Classic calm beats for studying',
+        tags: ['focus', 'chill']
     },
     {
         id: 'soft-classical',
@@ -24,7 +33,8 @@ const PRESETS = [
             { text: 'Gentle orchestra', weight: 1.0 },
             { text: 'Piano sonata', weight: 0.6 },
         ],
-        description: 'Elegant orchestration for relaxation'
+        description: 'Elegant orchestration for relaxation',
+        tags: ['orchestral', 'calm']
     },
     {
         id: 'deep-ambient',
@@ -34,7 +44,8 @@ const PRESETS = [
             { text: 'Ethereal pads', weight: 1.2 },
             { text: 'Drone textures', weight: 0.8 },
         ],
-        description: 'Spacey, floating textures'
+        description: 'Spacey, floating textures',
+        tags: ['ambient', 'calm']
     },
     {
         id: 'chaos-jazz',
@@ -44,7 +55,8 @@ const PRESETS = [
             { text: 'Experimental', weight: 1.0 },
             { text: 'Saxophone improvisation', weight: 0.8 },
         ],
-        description: 'Unpredictable, energetic jazz'
+        description: 'Unpredictable, energetic jazz',
+        tags: ['jazz', 'energetic']
     },
     {
         id: 'retrowave',
@@ -54,7 +66,8 @@ const PRESETS = [
             { text: 'Analog synthesizer', weight: 1.2 },
             { text: '80s nostalgic', weight: 0.8 },
         ],
-        description: 'Neon-soaked 80s nostalgia'
+        description: 'Neon-soaked 80s nostalgia',
+        tags: ['electronic', 'retro']
     },
     {
         id: 'cyberpunk',
@@ -64,7 +77,8 @@ const PRESETS = [
             { text: 'Glitch electronics', weight: 1.0 },
             { text: 'Dark synthesizer', weight: 0.9 },
         ],
-        description: 'Gritty, futuristic cityscape'
+        description: 'Gritty, futuristic cityscape',
+        tags: ['electronic', 'dark']
     },
     {
         id: 'meditative',
@@ -74,7 +88,8 @@ const PRESETS = [
             { text: 'Singing bowls', weight: 1.2 },
             { text: 'Focus', weight: 1.0 },
         ],
-        description: 'Peaceful mindfulness'
+        description: 'Peaceful mindfulness',
+        tags: ['calm', 'focus']
     },
     {
         id: 'cinematic-drama',
@@ -84,7 +99,8 @@ const PRESETS = [
             { text: 'Epic strings', weight: 1.2 },
             { text: 'Orchestral tension', weight: 0.9 },
         ],
-        description: 'Epic scores for dramatic moments'
+        description: 'Epic scores for dramatic moments',
+        tags: ['orchestral', 'epic']
     },
     {
         id: 'forest-nature',
@@ -94,7 +110,8 @@ const PRESETS = [
             { text: 'Acoustic guitar', weight: 1.0 },
             { text: 'Birds chirping', weight: 0.8 },
         ],
-        description: 'Organic acoustic vibes'
+        description: 'Organic acoustic vibes',
+        tags: ['acoustic', 'calm']
     },
     {
         id: '8-bit-adventure',
@@ -104,31 +121,56 @@ const PRESETS = [
             { text: 'Game soundtrack', weight: 1.2 },
             { text: 'Upbeat electronic', weight: 0.9 },
         ],
-        description: 'Retro game nostalgia'
+        description: 'Retro game nostalgia',
+        tags: ['electronic', 'retro']
     }
 ];
 
-export default function PresetSelector({ presets = PRESETS, selectedPreset, onPresetChange, onSave, onDelete }) {
+const BUILT_IN_IDS = PRESETS.map(p => p.id);
+
+export default function PresetSelector({
+    presets = PRESETS,
+    selectedPreset,
+    onPresetChange,
+    onSave,
+    onDelete,
+    onUpdate,
+    onDuplicate,
+    onReorder,
+    onImport,
+    promptsOnly = false,
+    onPromptsOnlyChange,
+}) {
     const [isSaving, setIsSaving] = useState(false);
     const [newName, setNewName] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [draggingId, setDraggingId] = useState(null);
+    const [query, setQuery] = useState('');
+    const [activeTag, setActiveTag] = useState(null);
+    const [isTransferOpen, setIsTransferOpen] = useState(false);
+
+    const editingPreset = presets.find(p => p.id === editingId) || null;
+    const customPresets = useMemo(() => presets.filter(p => !BUILT_IN_IDS.includes(p.id)), [presets]);
+    const allTags = [...new Set(presets.flatMap(p => p.tags || []))].sort();
+    const showFilter = presets.length > FILTER_THRESHOLD;
+    const visiblePresets = showFilter
+        ? presets.filter(p => matchesPresetFilter(p, query, activeTag))
+        : presets;
+
+    const handleDuplicate = (preset) => {
+        const copy = onDuplicate(preset);
+        if (copy) setEditingId(copy.id);
+    };
+
+    const handleDrop = (targetId) => {
+        if (draggingId && draggingId !== targetId) onReorder(draggingId, targetId);
+        setDraggingId(null);
+    };
 
     const handleSaveClick = (e) => {
         e.preventDefault();
         if (newName.trim()) {
-            // We save the CURRENT presets of the active selection or just save it as a new empty wrapper?
-            // "Save" usually means save the current STATE as a preset.
-            // But here we rely on the parent app to know what the current "state" is if it's custom.
-            // If checking the props, we might need prompts from somewhere.
-            // Actually, if a user modified the prompts via the console, selectedPreset becomes null.
-            // So we need to ask the user to provide prompts? Or better:
-            // The App knows the current prompts. But we are inside PresetSelector.
-            // User flow: 
-            // 1. Type prompt in console -> "Custom" state
-            // 2. Click "Save Preset" here -> Name it -> Save current custom prompt.
-
-            // To simplify, we will assume the parent (App) handles grabbing the current active prompts
-            // when we call onSave(name).
-            onSave(newName.trim(), null); // Null prompts implies "use current active ones"
+            onSave(newName.trim());
             setNewName('');
             setIsSaving(false);
         }
@@ -140,18 +182,93 @@ export default function PresetSelector({ presets = PRESETS, selectedPreset, onPr
                 <h2 className="text-sm uppercase tracking-widest" style={{ color: '#B1ADA1' }}>
                     Mood Presets
                 </h2>
-                <div className="text-xs font-serif" style={{ color: '#B1ADA1' }}>
-                    {presets.length}/10 slots used
+                <div className="flex items-center gap-3 text-xs font-serif" style={{ color: '#B1ADA1' }}>
+                    <button
+                        onClick={() => onPromptsOnlyChange?.(!promptsOnly)}
+                        className="px-2 py-0.5 uppercase tracking-wider border transition-colors"
+                        style={{
+                            backgroundColor: promptsOnly ? '#1F1E1D' : 'transparent',
+                            borderColor: promptsOnly ? '#1F1E1D' : '#B1ADA1',
+                            color: promptsOnly ? '#F5F3EE' : '#B1ADA1',
+                        }}
+                        title="Load only a preset's prompts, keeping the current knobs and advanced settings"
+                    >
+                        Prompts only: {promptsOnly ? 'ON' : 'OFF'}
+                    </button>
+                    <button
+                        onClick={() => setIsTransferOpen(!isTransferOpen)}
+                        className="px-2 py-0.5 uppercase tracking-wider border transition-colors"
+                        style={{
+                            backgroundColor: isTransferOpen ? '#1F1E1D' : 'transparent',
+                            borderColor: isTransferOpen ? '#1F1E1D' : '#B1ADA1',
+                            color: isTransferOpen ? '#F5F3EE' : '#B1ADA1',
+                        }}
+                        title="Share custom presets as a JSON file"
+                    >
+                        Import / Export
+                    </button>
+                    <span>{presets.length}/{MAX_PRESETS} slots used</span>
                 </div>
             </div>
 
+            {isTransferOpen && (
+                <PresetTransfer
+                    customPresets={customPresets}
+                    builtInIds={BUILT_IN_IDS}
+                    onImport={onImport}
+                />
+            )}
+
+            {/* Search and tag filter */}
+            {showFilter && (
+                <div className="flex flex-wrap items-center gap-2 mb-4 font-serif text-xs">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search presets…"
+                        className="px-2 py-1 text-sm"
+                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                    />
+                    {allTags.map(tag => (
+                        <button
+                            key={tag}
+                            onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                            className="px-2 py-0.5 border lowercase"
+                            style={{
+                                backgroundColor: activeTag === tag ? '#1F1E1D' : 'transparent',
+                                borderColor: activeTag === tag ? '#1F1E1D' : '#B1ADA1',
+                                color: activeTag === tag ? '#F5F3EE' : '#B1ADA1',
+                            }}
+                        >
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+
             <div className="flex flex-wrap gap-2 mb-4">
-                {presets.map((preset) => {
+                {visiblePresets.length === 0 && (
+                    <span className="text-xs font-serif italic" style={{ color: '#B1ADA1' }}>
+                        No presets match.
+                    </span>
+                )}
+                {visiblePresets.map((preset) => {
                     const isSelected = selectedPreset?.id === preset.id;
                     const isBuiltIn = PRESETS.some(p => p.id === preset.id);
 
+                    // Only custom presets can be dragged; built-ins always come first
                     return (
-                        <div key={preset.id} className="relative group">
+                        <div
+                            key={preset.id}
+                            className="relative group"
+                            draggable={!isBuiltIn}
+                            onDragStart={() => setDraggingId(preset.id)}
+                            onDragEnd={() => setDraggingId(null)}
+                            onDragOver={(e) => !isBuiltIn && draggingId && e.preventDefault()}
+                            onDrop={() => handleDrop(preset.id)}
+                            style={{ opacity: draggingId === preset.id ? 0.4 : 1, cursor: isBuiltIn ? undefined : 'grab' }}
+                        >
                             <button
                                 onClick={() => onPresetChange(preset)}
                                 className={`
@@ -175,13 +292,22 @@ export default function PresetSelector({ presets = PRESETS, selectedPreset, onPr
                                 <div className="font-bold mb-1">{preset.name}</div>
                                 <div className="opacity-80 mb-2 italic">{preset.description || 'Custom user preset'}</div>
                                 <div className="border-t border-gray-600 pt-1 mt-1">
-                                    {preset.prompts.map((p, i) => (
+                                    {preset.tags?.length > 0 && (
+                                    <div className="opacity-60 mb-1">{preset.tags.map(t => `#${t}`).join(' ')}</div>
+                                )}
+                                {preset.prompts.map((p, i) => (
                                         <div key={i} className="flex justify-between">
                                             <span>{p.text}</span>
                                             <span className="opacity-60">{p.weight}</span>
                                         </div>
                                     ))}
                                 </div>
+                                {describeKnobs(preset.knobs) && (
+                                    <div className="border-t border-gray-600 pt-1 mt-1 opacity-80">
+                                        {describeKnobs(preset.knobs)}
+                                        {preset.autoDrift?.enabled && ' · Auto-Drift'}
+                                    </div>
+                                )}
                                 <div className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-gray-800"></div>
                             </div>
 
@@ -200,55 +326,82 @@ export default function PresetSelector({ presets = PRESETS, selectedPreset, onPr
                                     ×
                                 </button>
                             )}
+
+                            {/* Edit (custom) or duplicate into a custom copy (built-in) */}
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    if (isBuiltIn) handleDuplicate(preset);
+                                    else setEditingId(preset.id);
+                                }}
+                                className={`absolute -top-2 ${isBuiltIn ? '-right-2' : '-left-2'} w-5 h-5 bg-gray-800 text-white rounded-full flex items-center justify-center text-[10px] opacity-0 group-hover:opacity-100 transition-opacity z-10`}
+                                title={isBuiltIn ? 'Duplicate as custom preset' : 'Edit preset'}
+                            >
+                                {isBuiltIn ? '⧉' : '✎'}
+                            </button>
                         </div>
                     );
                 })}
             </div>
 
+            {editingPreset && (
+                <div className="mb-4">
+                    <PresetEditor
+                        key={editingPreset.id}
+                        preset={editingPreset}
+                        onSave={(updated) => {
+                            onUpdate(updated);
+                            setEditingId(null);
+                        }}
+                        onCancel={() => setEditingId(null)}
+                    />
+                </div>
+            )}
+
             {/* Save New Preset Section */}
-            {!selectedPreset && (
-                <div className="mt-4 p-4 border border-dashed border-gray-400 rounded bg-gray-50 flex flex-col gap-2">
-                    <span className="text-xs font-serif italic text-gray-600">
-                        You are playing a custom prompt. Save it as a preset?
-                    </span>
+            <div className="mt-4 p-4 border border-dashed border-gray-400 rounded bg-gray-50 flex flex-col gap-2">
+                <span className="text-xs font-serif italic text-gray-600">
+                    {selectedPreset
+                        ? 'Save the current prompts, knobs and advanced settings as a new preset?'
+                        : 'You are playing a custom prompt. Save it as a preset?'}
+                </span>
 
-                    {!isSaving ? (
+                {!isSaving ? (
+                    <button
+                        onClick={() => setIsSaving(true)}
+                        className="self-start text-xs uppercase tracking-wider font-bold text-terracotta hover:underline"
+                        style={{ color: '#C15F3C' }}
+                    >
+                        + Save as Preset
+                    </button>
+                ) : (
+                    <form onSubmit={handleSaveClick} className="flex gap-2 items-center">
+                        <input
+                            type="text"
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            placeholder="Preset Name"
+                            maxLength={PRESET_NAME_LENGTH}
+                            className="px-2 py-1 text-sm border border-gray-300 rounded focus:border-terracotta outline-none"
+                            autoFocus
+                        />
                         <button
-                            onClick={() => setIsSaving(true)}
-                            className="self-start text-xs uppercase tracking-wider font-bold text-terracotta hover:underline"
-                            style={{ color: '#C15F3C' }}
+                            type="submit"
+                            disabled={!newName.trim()}
+                            className="px-3 py-1 bg-[#1F1E1D] text-[#F5F3EE] text-xs uppercase rounded disabled:opacity-50"
                         >
-                            + Save as Preset
+                            Save
                         </button>
-                    ) : (
-                        <form onSubmit={handleSaveClick} className="flex gap-2 items-center">
-                            <input
-                                type="text"
-                                value={newName}
-                                onChange={(e) => setNewName(e.target.value)}
-                                placeholder="Preset Name"
-                                maxLength={15}
-                                className="px-2 py-1 text-sm border border-gray-300 rounded focus:border-terracotta outline-none"
-                                autoFocus
-                            />
-                            <button
-                                type="submit"
-                                disabled={!newName.trim()}
-                                className="px-3 py-1 bg-[#1F1E1D] text-[#F5F3EE] text-xs uppercase rounded disabled:opacity-50"
-                            >
-                                Save
-                            </button>
-                            <button
-                                type="button"
-                                onClick={() => { setIsSaving(false); setNewName(''); }}
-                                className="text-xs text-gray-500 hover:text-gray-800"
-                            >
-                                Cancel
-                            </button>
-                        </form>
-                    )}
-                </div>
-            )}
+                        <button
+                            type="button"
+                            onClick={() => { setIsSaving(false); setNewName(''); }}
+                            className="text-xs text-gray-500 hover:text-gray-800"
+                        >
+                            Cancel
+                        </button>
+                    </form>
+                )}
+            </div>
         </div>
     );
 }
@@ -0,0 +1,212 @@
+/**
+ * PresetTransfer.jsx - Export custom presets to JSON and import them back
+ * Import shows a merge/replace dialog with a report of rejected entries
+ * before anything is changed.
+ */
+import { useState, useRef, useMemo } from 'react';
+import { exportPresets, parsePresetFile, mergeImportedPresets } from '../utils/presetTransfer';
+
+export default function PresetTransfer({ customPresets, builtInIds, onImport }) {
+    const [selectedIds, setSelectedIds] = useState(() => new Set(customPresets.map(p => p.id)));
+    const [importResult, setImportResult] = useState(null); // parsePresetFile result + fileName
+    const fileInputRef = useRef(null);
+
+    const selected = customPresets.filter(p => selectedIds.has(p.id));
+    const allSelected = customPresets.length > 0 && selected.length === customPresets.length;
+
+    const toggle = (id) => {
+        const next = new Set(selectedIds);
+        if (next.has(id)) next.delete(id);
+        else next.add(id);
+        setSelectedIds(next);
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Same file can be picked again
+        if (!file) return;
+        const text = await file.text();
+        setImportResult({ ...parsePresetFile(text), fileName: file.name });
+    };
+
+    const buttonStyle = (isOn = false) => ({
+        backgroundColor: isOn ? '#1F1E1D' : 'transparent',
+        borderColor: isOn ? '#1F1E1D' : '#B1ADA1',
+        color: isOn ? '#F5F3EE' : '#1F1E1D',
+    });
+
+    return (
+        <div className="flex flex-col gap-3 p-4 mb-4 border font-serif text-sm" style={{ borderColor: '#B1ADA1' }}>
+            <div className="flex flex-wrap items-center gap-2 text-xs uppercase tracking-wider">
+                <button
+                    onClick={() => setSelectedIds(new Set(allSelected ? [] : customPresets.map(p => p.id)))}
+                    disabled={!customPresets.length}
+                    className="px-3 py-1 border disabled:opacity-40"
+                    style={buttonStyle()}
+                >
+                    {allSelected ? 'Select none' : 'Select all'}
+                </button>
+                <button
+                    onClick={() => exportPresets(selected)}
+                    disabled={!selected.length}
+                    className="px-3 py-1 border disabled:opacity-40"
+                    style={buttonStyle(true)}
+                >
+                    Export {selected.length || ''}
+                </button>
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="ml-auto px-3 py-1 border"
+                    style={buttonStyle()}
+                >
+                    Import file…
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleFile}
+                    className="hidden"
+                />
+            </div>
+
+            {customPresets.length ? (
+                <div className="flex flex-wrap gap-x-4 gap-y-1">
+                    {customPresets.map(preset => (
+                        <label key={preset.id} className="flex items-center gap-2 cursor-pointer" style={{ color: '#1F1E1D' }}>
+                            <input
+                                type="checkbox"
+                                checked={selectedIds.has(preset.id)}
+                                onChange={() => toggle(preset.id)}
+                                className="accent-terracotta"
+                            />
+                            {preset.name}
+                        </label>
+                    ))}
+                </div>
+            ) : (
+                <span className="text-xs italic" style={{ color: '#B1ADA1' }}>
+                    No custom presets to export yet.
+                </span>
+            )}
+
+            {importResult && (
+                <ImportDialog
+                    result={importResult}
+                    customPresets={customPresets}
+                    builtInIds={builtInIds}
+                    onConfirm={(presets) => {
+                        onImport(presets);
+                        setImportResult(null);
+                    }}
+                    onCancel={() => setImportResult(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+/**
+ * Modal summary of a parsed file: merge/replace choice, what will happen, rejected entries
+ */
+function ImportDialog({ result, customPresets, builtInIds, onConfirm, onCancel }) {
+    const [mode, setMode] = useState('merge');
+    const { error, entries, rejected, fileName } = result;
+    // Once per input change: the merge assigns new ids, and Import must save the ids previewed here
+    const outcome = useMemo(
+        () => (error ? null : mergeImportedPresets(customPresets, entries, mode, builtInIds)),
+        [error, entries, mode, customPresets, builtInIds]
+    );
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4" style={{ backgroundColor: 'rgba(31, 30, 29, 0.4)' }}>
+            <div
+                role="dialog"
+                aria-modal="true"
+                className="w-full max-w-lg max-h-[80vh] overflow-y-auto flex flex-col gap-4 p-6 border font-serif text-sm text-left"
+                style={{ backgroundColor: '#F5F3EE', borderColor: '#1F1E1D', color: '#1F1E1D' }}
+            >
+                <h3 className="text-sm uppercase tracking-widest" style={{ color: '#B1ADA1' }}>
+                    Import Presets
+                </h3>
+                <div className="italic">{fileName}</div>
+
+                {error ? (
+                    <div style={{ color: '#C15F3C' }}>{error}</div>
+                ) : (
+                    <>
+                        <div className="flex items-center gap-2 text-xs uppercase tracking-wider">
+                            {[
+                                { value: 'merge', label: 'Merge', hint: 'Add to your presets' },
+                                { value: 'replace', label: 'Replace', hint: 'Delete your custom presets first' },
+                            ].map(option => (
+                                <button
+                                    key={option.value}
+                                    onClick={() => setMode(option.value)}
+                                    className="px-3 py-1 border"
+                                    style={{
+                                        backgroundColor: mode === option.value ? '#1F1E1D' : 'transparent',
+                                        borderColor: mode === option.value ? '#1F1E1D' : '#B1ADA1',
+                                        color: mode === option.value ? '#F5F3EE' : '#1F1E1D',
+                                    }}
+                                    title={option.hint}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <ul className="flex flex-col gap-1">
+                            <li>{outcome.added} of {entries.length} valid preset(s) will be imported.</li>
+                            {mode === 'replace' && customPresets.length > 0 && (
+                                <li style={{ color: '#C15F3C' }}>{customPresets.length} current custom preset(s) will be deleted.</li>
+                            )}
+                            {outcome.reassigned.length > 0 && (
+                                <li>New ids for {outcome.reassigned.join(', ')} (already in use).</li>
+                            )}
+                            {outcome.skipped.length > 0 && (
+                                <li style={{ color: '#C15F3C' }}>No free slot for {outcome.skipped.join(', ')}.</li>
+                            )}
+                        </ul>
+                    </>
+                )}
+
+                {rejected.length > 0 && (
+                    <div className="flex flex-col gap-2">
+                        <span className="text-xs uppercase tracking-wider" style={{ color: '#C15F3C' }}>
+                            Rejected ({rejected.length})
+                        </span>
+                        {rejected.map(entry => (
+                            <div key={entry.index} className="text-xs">
+                                <span className="font-bold">{entry.name}</span>
+                                <ul className="list-disc ml-5">
+                                    {entry.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex gap-2 text-xs uppercase tracking-wider">
+                    {!error && (
+                        <button
+                            onClick={() => onConfirm(outcome.presets)}
+                            disabled={!outcome.added}
+                            className="px-3 py-1 border disabled:opacity-40"
+                            style={{ backgroundColor: '#1F1E1D', borderColor: '#1F1E1D', color: '#F5F3EE' }}
+                        >
+                            Import
+                        </button>
+                    )}
+                    <button
+                        onClick={onCancel}
+                        className="px-3 py-1 border"
+                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                    >
+                        {error ? 'Close' : 'Cancel'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,9 +1,19 @@
 /**
  * PromptConsole.jsx - Custom prompt input with generate button
+ * plus a weighted mixer of prompt rows (weight, mute, solo per row)
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { createRow, isRowSilenced, MIN_WEIGHT, MAX_WEIGHT } from '../utils/promptMix';
 
-export default function PromptConsole({ onSubmit, isPlaying, onOptimize, onAutoGenerate }) {
+export default function PromptConsole({
+    onSubmit,
+    isPlaying,
+    onOptimize,
+    onAutoGenerate,
+    rows = [],
+    onRowsChange,
+    filteredPrompts = new Set(),
+}) {
     const [prompt, setPrompt] = useState('');
     const [isOptimizing, setIsOptimizing] = useState(false);
     const [isGenerating, setIsGenerating] = useState(false);
@@ -29,6 +39,18 @@ export default function PromptConsole({ onSubmit, isPlaying, onOptimize, onAutoG
         }
     };
 
+    const updateRow = (id, changes) => {
+        onRowsChange(rows.map(r => (r.id === id ? { ...r, ...changes } : r)));
+    };
+
+    const removeRow = (id) => {
+        onRowsChange(rows.filter(r => r.id !== id));
+    };
+
+    const addRow = () => {
+        onRowsChange([...rows, createRow()]);
+    };
+
     const handleAutoGenerateClick = async () => {
         if (!onAutoGenerate) return;
 
@@ -152,6 +174,145 @@ export default function PromptConsole({ onSubmit, isPlaying, onOptimize, onAutoG
                     </button>
                 </div>
             </form>
+
+            {/* Prompt Mixer */}
+            {onRowsChange && (
+                <div className="mt-6 flex flex-col gap-2">
+                    <div className="flex items-center justify-between">
+                        <h3 className="text-xs uppercase tracking-widest" style={{ color: '#B1ADA1' }}>
+                            Prompt Mix
+                        </h3>
+                        <button
+                            type="button"
+                            onClick={addRow}
+                            disabled={rows.length >= 10}
+                            className="px-3 py-1 font-serif text-xs uppercase tracking-wider border disabled:opacity-40"
+                            style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                        >
+                            + Add Row
+                        </button>
+                    </div>
+
+                    {rows.length === 0 && (
+                        <p className="font-serif text-xs italic" style={{ color: '#B1ADA1' }}>
+                            No prompts in the mix. Pick a preset, generate a prompt, or add a row.
+                        </p>
+                    )}
+
+                    {rows.map((row) => (
+                        <PromptRow
+                            key={row.id}
+                            row={row}
+                            isSilenced={isRowSilenced(row, rows)}
+                            isFiltered={filteredPrompts.has(row.text.trim())}
+                            onChange={(changes) => updateRow(row.id, changes)}
+                            onRemove={() => removeRow(row.id)}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Single mixer row. Text is committed on blur/Enter so partial words
+ * are never sent to the session; weight/mute/solo apply immediately.
+ */
+function PromptRow({ row, isSilenced, isFiltered, onChange, onRemove }) {
+    const [draft, setDraft] = useState(row.text);
+
+    useEffect(() => {
+        setDraft(row.text);
+    }, [row.text]);
+
+    const commitText = () => {
+        if (draft !== row.text) onChange({ text: draft });
+    };
+
+    const toggleStyle = (isOn) => ({
+        backgroundColor: isOn ? '#1F1E1D' : 'transparent',
+        borderColor: isOn ? '#1F1E1D' : '#B1ADA1',
+        color: isOn ? '#F5F3EE' : '#B1ADA1',
+    });
+
+    return (
+        <div
+            className="flex flex-wrap items-center gap-3 py-2 border-b font-serif text-sm"
+            style={{ borderColor: '#B1ADA1', opacity: isSilenced ? 0.5 : 1 }}
+        >
+            <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commitText}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        commitText();
+                    }
+                }}
+                placeholder="Prompt text"
+                maxLength={200}
+                className="flex-1 min-w-[10rem] px-2 py-1"
+                style={{
+                    borderColor: isFiltered ? '#C15F3C' : '#B1ADA1',
+                    color: '#1F1E1D',
+                    textDecoration: isFiltered ? 'line-through' : 'none',
+                }}
+            />
+
+            {isFiltered && (
+                <span
+                    className="text-xs uppercase tracking-wider"
+                    style={{ color: '#C15F3C' }}
+                    title="The server filtered this prompt; it is not being used"
+                >
+                    ⚠ Filtered
+                </span>
+            )}
+
+            <input
+                type="range"
+                min={MIN_WEIGHT}
+                max={MAX_WEIGHT}
+                step="0.05"
+                value={row.weight}
+                onChange={(e) => onChange({ weight: parseFloat(e.target.value) })}
+                className="w-24 cursor-pointer"
+                title="Prompt weight"
+            />
+            <span className="w-8 text-xs tabular-nums" style={{ color: '#1F1E1D' }}>
+                {row.weight.toFixed(2)}
+            </span>
+
+            <button
+                type="button"
+                onClick={() => onChange({ muted: !row.muted })}
+                className="w-7 h-7 text-xs border"
+                style={toggleStyle(row.muted)}
+                title="Mute"
+            >
+                M
+            </button>
+            <button
+                type="button"
+                onClick={() => onChange({ solo: !row.solo })}
+                className="w-7 h-7 text-xs border"
+                style={toggleStyle(row.solo)}
+                title="Solo"
+            >
+                S
+            </button>
+            <button
+                type="button"
+                onClick={onRemove}
+                className="w-7 h-7 text-xs border-0 hover:text-[#C15F3C]"
+                style={{ color: '#B1ADA1' }}
+                title="Remove row"
+            >
+                ×
+            </button>
         </div>
     );
 }
@@ -0,0 +1,31 @@
+/**
+ * RecordButton.jsx - Record/Stop control for capturing the stream to WAV
+ */
+
+export default function RecordButton({ isRecording = false, duration = 0, disabled = false, onClick }) {
+    const m = Math.floor(duration / 60);
+    const s = Math.floor(duration % 60);
+    const elapsed = `${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled && !isRecording}
+            className="
+        flex items-center gap-2 px-4 py-2
+        font-serif text-xs uppercase tracking-widest
+        border transition-all duration-150
+        disabled:opacity-40 disabled:cursor-not-allowed
+      "
+            style={{
+                borderColor: isRecording ? '#C15F3C' : '#B1ADA1',
+                color: isRecording ? '#C15F3C' : '#1F1E1D',
+                backgroundColor: 'transparent',
+            }}
+            title={isRecording ? 'Stop and download WAV + marker file' : 'Record the stream to a WAV file'}
+        >
+            <span className={isRecording ? 'animate-pulse' : ''}>{isRecording ? '■' : '●'}</span>
+            {isRecording ? <span className="tabular-nums">Stop {elapsed}</span> : 'Rec'}
+        </button>
+    );
+}
@@ -0,0 +1,34 @@
+/**
+ * RetroCapture.jsx - "Capture last N minutes" action for the always-on buffer
+ */
+
+const MINUTE_OPTIONS = [1, 2, 3, 4, 5];
+
+export default function RetroCapture({ minutes = 3, onMinutesChange, onCapture }) {
+    return (
+        <div
+            className="flex items-stretch border font-serif text-xs uppercase tracking-widest"
+            style={{ borderColor: '#B1ADA1' }}
+        >
+            <button
+                onClick={onCapture}
+                className="px-4 py-2 border-0 transition-colors duration-150 hover:bg-[#1F1E1D] hover:text-[#F5F3EE]"
+                style={{ color: '#1F1E1D' }}
+                title="Save what just played, even if recording wasn't armed"
+            >
+                ⟲ Capture last
+            </button>
+            <select
+                value={minutes}
+                onChange={(e) => onMinutesChange(parseInt(e.target.value, 10))}
+                className="px-2 border-0 border-l cursor-pointer"
+                style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                title="Length of the rolling capture buffer"
+            >
+                {MINUTE_OPTIONS.map(m => (
+                    <option key={m} value={m}>{m} min</option>
+                ))}
+            </select>
+        </div>
+    );
+}
@@ -0,0 +1,283 @@
+/**
+ * SetListPanel.jsx - Build, save and run timed set lists of scenes
+ * Transport: start/stop, skip, hold, loop; click a scene to jump to it
+ */
+import { useState } from 'react';
+import { createSetList } from '../services/SceneSequencer';
+
+const formatDuration = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${s.toString().padStart(2, '0')}`;
+};
+
+export default function SetListPanel({
+    setLists,
+    onSetListsChange,
+    sequencerState,
+    onCaptureScene,
+    onStart,
+    onStop,
+    onSkip,
+    onHold,
+    onLoop,
+    onJump,
+}) {
+    const [activeId, setActiveId] = useState(setLists[0]?.id || null);
+    const [newName, setNewName] = useState('');
+    const [sceneDuration, setSceneDuration] = useState(120);
+    const [sceneTransition, setSceneTransition] = useState('cut');
+
+    const setList = setLists.find(l => l.id === activeId) || null;
+    const isRunningThis = sequencerState.isRunning && sequencerState.setListId === activeId;
+
+    const updateSetList = (changes) => {
+        onSetListsChange(setLists.map(l => (l.id === activeId ? { ...l, ...changes } : l)));
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        const created = createSetList(newName.trim());
+        onSetListsChange([...setLists, created]);
+        setActiveId(created.id);
+        setNewName('');
+    };
+
+    const handleDelete = () => {
+        if (!setList || !confirm(`Delete set list "${setList.name}"?`)) return;
+        if (isRunningThis) onStop();
+        const remaining = setLists.filter(l => l.id !== activeId);
+        onSetListsChange(remaining);
+        setActiveId(remaining[0]?.id || null);
+    };
+
+    const handleAddScene = () => {
+        const scene = onCaptureScene({ duration: sceneDuration, transition: sceneTransition });
+        updateSetList({ scenes: [...setList.scenes, scene] });
+    };
+
+    const updateScene = (id, changes) => {
+        updateSetList({ scenes: setList.scenes.map(s => (s.id === id ? { ...s, ...changes } : s)) });
+    };
+
+    const moveScene = (index, delta) => {
+        const scenes = [...setList.scenes];
+        const target = index + delta;
+        if (target < 0 || target >= scenes.length) return;
+        [scenes[index], scenes[target]] = [scenes[target], scenes[index]];
+        updateSetList({ scenes });
+    };
+
+    const buttonStyle = (isOn = false) => ({
+        backgroundColor: isOn ? '#1F1E1D' : 'transparent',
+        borderColor: isOn ? '#1F1E1D' : '#B1ADA1',
+        color: isOn ? '#F5F3EE' : '#1F1E1D',
+    });
+
+    return (
+        <div className="w-full flex flex-col gap-4 font-serif text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <select
+                    value={activeId || ''}
+                    onChange={(e) => setActiveId(e.target.value || null)}
+                    className="px-2 py-1 cursor-pointer"
+                    style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                >
+                    {setLists.length === 0 && <option value="">No set lists</option>}
+                    {setLists.map(l => (
+                        <option key={l.id} value={l.id}>{l.name} ({l.scenes.length})</option>
+                    ))}
+                </select>
+
+                <form onSubmit={handleCreate} className="flex gap-2 items-center">
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        placeholder="New set list"
+                        maxLength={24}
+                        className="px-2 py-1 text-sm"
+                        style={{ borderColor: '#B1ADA1' }}
+                    />
+                    <button
+                        type="submit"
+                        disabled={!newName.trim()}
+                        className="px-3 py-1 text-xs uppercase tracking-wider border disabled:opacity-40"
+                        style={buttonStyle()}
+                    >
+                        Create
+                    </button>
+                </form>
+
+                {setList && (
+                    <button
+                        onClick={handleDelete}
+                        className="ml-auto text-xs uppercase tracking-wider border-0 hover:underline"
+                        style={{ color: '#C15F3C' }}
+                    >
+                        Delete
+                    </button>
+                )}
+            </div>
+
+            {setList && (
+                <>
+                    {/* Transport */}
+                    <div className="flex flex-wrap items-center gap-2 text-xs uppercase tracking-wider">
+                        {isRunningThis ? (
+                            <button onClick={onStop} className="px-3 py-1 border" style={buttonStyle(true)}>■ Stop</button>
+                        ) : (
+                            <button
+                                onClick={() => onStart(setList, 0)}
+                                disabled={!setList.scenes.length}
+                                className="px-3 py-1 border disabled:opacity-40"
+                                style={buttonStyle()}
+                            >
+                                ▶ Run
+                            </button>
+                        )}
+                        <button onClick={onSkip} disabled={!isRunningThis} className="px-3 py-1 border disabled:opacity-40" style={buttonStyle()}>
+                            ⏭ Skip
+                        </button>
+                        <button
+                            onClick={() => onHold(!sequencerState.isHeld)}
+                            disabled={!isRunningThis}
+                            className="px-3 py-1 border disabled:opacity-40"
+                            style={buttonStyle(isRunningThis && sequencerState.isHeld)}
+                        >
+                            ⏸ Hold
+                        </button>
+                        <button
+                            onClick={() => {
+                                updateSetList({ loop: !setList.loop });
+                                if (isRunningThis) onLoop(!setList.loop);
+                            }}
+                            className="px-3 py-1 border"
+                            style={buttonStyle(setList.loop)}
+                        >
+                            ↻ Loop
+                        </button>
+                    </div>
+
+                    {/* Scenes */}
+                    <ol className="flex flex-col">
+                        {setList.scenes.map((scene, index) => {
+                            const isCurrent = isRunningThis && sequencerState.index === index;
+                            const progress = isCurrent ? Math.min(1, sequencerState.elapsed / scene.duration) : 0;
+
+                            return (
+                                <li
+                                    key={scene.id}
+                                    className="relative flex flex-wrap items-center gap-3 py-2 border-b"
+                                    style={{ borderColor: '#B1ADA1' }}
+                                >
+                                    {isCurrent && (
+                                        <div
+                                            className="absolute left-0 bottom-0 h-0.5 transition-all duration-1000 ease-linear"
+                                            style={{ width: `${progress * 100}%`, backgroundColor: '#C15F3C' }}
+                                        />
+                                    )}
+                                    <button
+                                        onClick={() => onJump(index)}
+                                        disabled={!isRunningThis}
+                                        className="w-6 text-xs border-0 tabular-nums disabled:cursor-default"
+                                        style={{ color: isCurrent ? '#C15F3C' : '#B1ADA1' }}
+                                        title="Jump to this scene"
+                                    >
+                                        {isCurrent ? '▶' : index + 1}
+                                    </button>
+                                    <input
+                                        type="text"
+                                        value={scene.name}
+                                        onChange={(e) => updateScene(scene.id, { name: e.target.value })}
+                                        maxLength={24}
+                                        className="flex-1 min-w-[8rem] px-2 py-1 border-0"
+                                        style={{ color: '#1F1E1D' }}
+                                    />
+                                    <span className="text-xs italic truncate max-w-[12rem]" style={{ color: '#B1ADA1' }}>
+                                        {scene.prompts.map(p => p.text).join(' + ')}
+                                    </span>
+                                    <label className="flex items-center gap-1 text-xs" style={{ color: '#B1ADA1' }}>
+                                        <input
+                                            type="number"
+                                            min="10"
+                                            max="3600"
+                                            value={scene.duration}
+                                            onChange={(e) => {
+                                                const value = parseInt(e.target.value, 10);
+                                                if (value >= 10 && value <= 3600) updateScene(scene.id, { duration: value });
+                                            }}
+                                            className="w-16 px-1 text-right tabular-nums"
+                                            style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                                        />
+                                        s
+                                    </label>
+                                    <select
+                                        value={scene.transition}
+                                        onChange={(e) => updateScene(scene.id, { transition: e.target.value })}
+                                        className="px-1 text-xs cursor-pointer"
+                                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                                    >
+                                        <option value="cut">Cut</option>
+                                        <option value="morph">Morph</option>
+                                    </select>
+                                    {isCurrent && (
+                                        <span className="text-xs tabular-nums" style={{ color: '#C15F3C' }}>
+                                            {formatDuration(sequencerState.elapsed)}/{formatDuration(scene.duration)}
+                                        </span>
+                                    )}
+                                    <div className="flex text-xs">
+                                        <button onClick={() => moveScene(index, -1)} className="px-1 border-0" style={{ color: '#B1ADA1' }} title="Move up">↑</button>
+                                        <button onClick={() => moveScene(index, 1)} className="px-1 border-0" style={{ color: '#B1ADA1' }} title="Move down">↓</button>
+                                        <button
+                                            onClick={() => updateSetList({ scenes: setList.scenes.filter(s => s.id !== scene.id) })}
+                                            className="px-1 border-0 hover:text-[#C15F3C]"
+                                            style={{ color: '#B1ADA1' }}
+                                            title="Remove scene"
+                                        >
+                                            ×
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ol>
+
+                    {/* Add scene from the current mix + knobs */}
+                    <div className="flex flex-wrap items-center gap-3 text-xs" style={{ color: '#B1ADA1' }}>
+                        <button
+                            onClick={handleAddScene}
+                            className="px-3 py-1 uppercase tracking-wider border"
+                            style={buttonStyle()}
+                        >
+                            + Add Current as Scene
+                        </button>
+                        <label className="flex items-center gap-1">
+                            for
+                            <input
+                                type="number"
+                                min="10"
+                                max="3600"
+                                value={sceneDuration}
+                                onChange={(e) => setSceneDuration(Math.max(10, parseInt(e.target.value, 10) || 10))}
+                                className="w-16 px-1 text-right tabular-nums"
+                                style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                            />
+                            s
+                        </label>
+                        <select
+                            value={sceneTransition}
+                            onChange={(e) => setSceneTransition(e.target.value)}
+                            className="px-1 cursor-pointer"
+                            style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                        >
+                            <option value="cut">Cut in</option>
+                            <option value="morph">Morph in</option>
+                        </select>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,219 @@
+/**
+ * SettingsPanel.jsx - Engine settings: API key, Lyria and text models, buffer latency
+ * A pasted key is validated before it is saved; changes apply without a reload.
+ */
+import { useState, useEffect } from 'react';
+import { LYRIA_MODELS, TEXT_MODELS } from '../utils/engineSettings';
+import { MIN_LATENCY, MAX_LATENCY } from '../utils/jitterBuffer';
+
+// Where the Lyria client currently comes from
+const SOURCE_NOTES = {
+    simulator: 'Offline simulator active (VITE_LYRIA_SIMULATOR); keys are ignored.',
+    stored: 'Using the key saved in this browser.',
+    proxy: 'Using the key-holding proxy (VITE_GENAI_PROXY_URL).',
+    env: 'Using the build-time key (VITE_GEMINI_API_KEY).',
+    none: 'No key configured: the fallback synth will play.',
+};
+
+const maskKey = (key) => key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-4)}` : '••••';
+
+export default function SettingsPanel({ settings, keySource, onChange, onValidateKey }) {
+    const [keyDraft, setKeyDraft] = useState('');
+    const [showKey, setShowKey] = useState(false);
+    const [keyStatus, setKeyStatus] = useState(null); // { state: 'checking' | 'valid' | 'invalid', message }
+
+    const handleSaveKey = async () => {
+        const key = keyDraft.trim();
+        if (!key) return;
+        setKeyStatus({ state: 'checking', message: 'Checking key…' });
+        const { valid, error } = await onValidateKey(key);
+        if (!valid) {
+            setKeyStatus({ state: 'invalid', message: error });
+            return;
+        }
+        setKeyStatus({ state: 'valid', message: 'Key saved' });
+        setKeyDraft('');
+        onChange({ apiKey: key });
+    };
+
+    const handleClearKey = () => {
+        setKeyStatus(null);
+        setKeyDraft('');
+        onChange({ apiKey: '' });
+    };
+
+    const label = (text) => (
+        <span className="text-xs uppercase tracking-wider" style={{ color: '#B1ADA1' }}>{text}</span>
+    );
+
+    const buttonStyle = (active) => ({
+        backgroundColor: active ? '#1F1E1D' : 'transparent',
+        borderColor: active ? '#1F1E1D' : '#B1ADA1',
+        color: active ? '#F5F3EE' : '#B1ADA1',
+    });
+
+    return (
+        <div className="flex flex-col gap-5 p-4 border font-serif text-sm text-left" style={{ borderColor: '#B1ADA1' }}>
+            {/* API key */}
+            <div className="flex flex-col gap-2">
+                <div className="flex items-center justify-between gap-4">
+                    {label('API Key')}
+                    {settings.apiKey && (
+                        <span className="tabular-nums" style={{ color: '#1F1E1D' }}>
+                            Saved: {maskKey(settings.apiKey)}
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center gap-2">
+                    <input
+                        type={showKey ? 'text' : 'password'}
+                        value={keyDraft}
+                        onChange={(e) => setKeyDraft(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSaveKey()}
+                        placeholder="Paste a Gemini API key"
+                        autoComplete="off"
+                        spellCheck={false}
+                        className="flex-1 px-2 py-1"
+                        style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => setShowKey(!showKey)}
+                        className="px-3 py-1 text-xs uppercase tracking-wider border"
+                        style={buttonStyle(showKey)}
+                    >
+                        {showKey ? 'Hide' : 'Show'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleSaveKey}
+                        disabled={!keyDraft.trim() || keyStatus?.state === 'checking'}
+                        className="px-3 py-1 text-xs uppercase tracking-wider border disabled:opacity-50"
+                        style={buttonStyle(true)}
+                    >
+                        Validate &amp; Save
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleClearKey}
+                        disabled={!settings.apiKey}
+                        className="px-3 py-1 text-xs uppercase tracking-wider border disabled:opacity-50"
+                        style={buttonStyle(false)}
+                    >
+                        Clear
+                    </button>
+                </div>
+                {keyStatus && (
+                    <span
+                        className={`text-xs italic ${keyStatus.state === 'checking' ? 'animate-pulse' : ''}`}
+                        style={{ color: keyStatus.state === 'valid' ? '#1F1E1D' : '#C15F3C' }}
+                    >
+                        {keyStatus.message}
+                    </span>
+                )}
+                <span className="text-xs italic" style={{ color: '#B1ADA1' }}>
+                    {SOURCE_NOTES[keySource]} Saved keys stay in this browser's local storage.
+                </span>
+            </div>
+
+            {/* Models: suggestions in the list, any id can be typed */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
+                <ModelField
+                    id="lyria-models"
+                    title="Lyria Model"
+                    value={settings.lyriaModel}
+                    options={LYRIA_MODELS}
+                    label={label}
+                    onCommit={(lyriaModel) => onChange({ lyriaModel })}
+                />
+                <ModelField
+                    id="text-models"
+                    title="Text Model"
+                    value={settings.textModel}
+                    options={TEXT_MODELS}
+                    label={label}
+                    onCommit={(textModel) => onChange({ textModel })}
+                />
+            </div>
+
+            {/* Buffer latency */}
+            <div className="flex flex-col gap-2">
+                <div className="flex items-center justify-between gap-4">
+                    {label('Buffer Latency')}
+                    <div className="flex items-center gap-2">
+                        {['adaptive', 'fixed'].map(mode => (
+                            <button
+                                key={mode}
+                                type="button"
+                                onClick={() => onChange({ latencyMode: mode })}
+                                className="px-3 py-1 text-xs uppercase tracking-wider border"
+                                style={buttonStyle(settings.latencyMode === mode)}
+                            >
+                                {mode}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                {settings.latencyMode === 'fixed' ? (
+                    <label className="flex items-center gap-4">
+                        <input
+                            type="range"
+                            min={MIN_LATENCY}
+                            max={MAX_LATENCY}
+                            step={0.1}
+                            value={settings.latency}
+                            onChange={(e) => onChange({ latency: Number(e.target.value) })}
+                            className="flex-1 accent-terracotta"
+                        />
+                        <span className="w-12 text-right tabular-nums" style={{ color: '#1F1E1D' }}>
+                            {settings.latency.toFixed(1)}s
+                        </span>
+                    </label>
+                ) : (
+                    <span className="text-xs italic" style={{ color: '#B1ADA1' }}>
+                        Grows with network jitter and underruns, relaxes when the stream is steady.
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Free-text model id with suggestions; committed on blur or Enter
+ */
+function ModelField({ id, title, value, options, label, onCommit }) {
+    const [draft, setDraft] = useState(value);
+
+    useEffect(() => {
+        setDraft(value);
+    }, [value]);
+
+    const commit = () => {
+        const model = draft.trim();
+        if (!model) {
+            setDraft(value);
+            return;
+        }
+        if (model !== value) onCommit(model);
+    };
+
+    return (
+        <label className="flex flex-col gap-1">
+            {label(title)}
+            <input
+                list={id}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => e.key === 'Enter' && commit()}
+                spellCheck={false}
+                className="px-2 py-1"
+                style={{ borderColor: '#B1ADA1', color: '#1F1E1D' }}
+            />
+            <datalist id={id}>
+                {options.map(option => <option key={option} value={option} />)}
+            </datalist>
+        </label>
+    );
+}
@@ -0,0 +1,192 @@
+/**
+ * Visualizer.jsx - Retro spectrum / oscilloscope / waterfall panel
+ * Reads whichever AnalyserNode getAnalyser() returns each frame, so engine
+ * switches need no re-wiring. Rendering pauses while the tab is hidden.
+ */
+import { useEffect, useRef } from 'react';
+
+const MODES = [
+    { id: 'bars', label: 'Bars' },
+    { id: 'scope', label: 'Scope' },
+    { id: 'waterfall', label: 'Waterfall' },
+];
+
+const WIDTH = 480;
+const HEIGHT = 120;
+const BAR_COUNT = 40;
+const SEGMENT = 4; // LED segment height in px
+const MIN_FREQ = 30;
+const MAX_FREQ = 16000;
+
+const PAPER = '#F5F3EE';
+const INK = '#1F1E1D';
+const ACCENT = '#C15F3C';
+const MUTED = '#B1ADA1';
+
+// Waterfall palette: paper -> muted -> terracotta -> ink
+const HEAT = [[245, 243, 238], [177, 173, 161], [193, 95, 60], [31, 30, 29]];
+
+const heatColor = (level) => {
+    const scaled = Math.min(0.999, Math.max(0, level)) * (HEAT.length - 1);
+    const i = Math.floor(scaled);
+    const t = scaled - i;
+    const [r, g, b] = HEAT[i].map((c, k) => Math.round(c + (HEAT[i + 1][k] - c) * t));
+    return `rgb(${r},${g},${b})`;
+};
+
+// FFT bin for a position (0-1) on a log frequency axis
+const logBin = (position, analyser) => {
+    const freq = MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, position);
+    const nyquist = analyser.context.sampleRate / 2;
+    return Math.min(analyser.frequencyBinCount - 1, Math.round((freq / nyquist) * analyser.frequencyBinCount));
+};
+
+function drawIdle(ctx) {
+    ctx.fillStyle = PAPER;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.strokeStyle = MUTED;
+    ctx.setLineDash([2, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, HEIGHT / 2);
+    ctx.lineTo(WIDTH, HEIGHT / 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+function drawBars(ctx, analyser, data) {
+    analyser.getByteFrequencyData(data);
+    ctx.fillStyle = PAPER;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const slot = WIDTH / BAR_COUNT;
+    for (let i = 0; i < BAR_COUNT; i++) {
+        const start = logBin(i / BAR_COUNT, analyser);
+        const end = Math.max(start + 1, logBin((i + 1) / BAR_COUNT, analyser));
+        let peak = 0;
+        for (let b = start; b < end; b++) peak = Math.max(peak, data[b]);
+
+        const segments = Math.round((peak / 255) * (HEIGHT / SEGMENT));
+        for (let s = 0; s < segments; s++) {
+            // Top quarter of the meter lights up in the accent colour
+            ctx.fillStyle = s >= (HEIGHT / SEGMENT) * 0.75 ? ACCENT : INK;
+            ctx.fillRect(i * slot + 1, HEIGHT - (s + 1) * SEGMENT + 1, slot - 2, SEGMENT - 1);
+        }
+    }
+}
+
+function drawScope(ctx, analyser, data) {
+    analyser.getFloatTimeDomainData(data);
+    ctx.fillStyle = PAPER;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+    // Graticule
+    ctx.strokeStyle = MUTED;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = 0; x <= WIDTH; x += WIDTH / 8) {
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, HEIGHT);
+    }
+    ctx.moveTo(0, HEIGHT / 2);
+    ctx.lineTo(WIDTH, HEIGHT / 2);
+    ctx.stroke();
+
+    ctx.strokeStyle = ACCENT;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const step = data.length / WIDTH;
+    for (let x = 0; x < WIDTH; x++) {
+        const y = HEIGHT / 2 - data[Math.floor(x * step)] * (HEIGHT / 2);
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+}
+
+function drawWaterfall(ctx, canvas, analyser, data) {
+    analyser.getByteFrequencyData(data);
+
+    // Scroll the history one column left, then paint the newest column
+    const ratio = canvas.width / WIDTH;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(canvas, ratio, 0, canvas.width - ratio, canvas.height, 0, 0, canvas.width - ratio, canvas.height);
+    ctx.restore();
+
+    for (let y = 0; y < HEIGHT; y += 2) {
+        const bin = logBin(1 - y / HEIGHT, analyser);
+        ctx.fillStyle = heatColor(data[bin] / 255);
+        ctx.fillRect(WIDTH - 1, y, 1, 2);
+    }
+}
+
+export default function Visualizer({ getAnalyser, isActive, mode = 'bars', onModeChange }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const ctx = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = WIDTH * ratio;
+        canvas.height = HEIGHT * ratio;
+        ctx.scale(ratio, ratio);
+        drawIdle(ctx);
+
+        if (!isActive) return;
+
+        let frame = null;
+        let bytes = null;
+        let floats = null;
+
+        const render = () => {
+            frame = requestAnimationFrame(render);
+            const analyser = getAnalyser();
+            if (!analyser) return;
+
+            if (!bytes || bytes.length !== analyser.frequencyBinCount) {
+                bytes = new Uint8Array(analyser.frequencyBinCount);
+                floats = new Float32Array(analyser.fftSize);
+            }
+
+            if (mode === 'scope') drawScope(ctx, analyser, floats);
+            else if (mode === 'waterfall') drawWaterfall(ctx, canvas, analyser, bytes);
+            else drawBars(ctx, analyser, bytes);
+        };
+
+        const handleVisibility = () => {
+            cancelAnimationFrame(frame);
+            frame = null;
+            if (!document.hidden) render();
+        };
+
+        if (!document.hidden) render();
+        document.addEventListener('visibilitychange', handleVisibility);
+
+        return () => {
+            cancelAnimationFrame(frame);
+            document.removeEventListener('visibilitychange', handleVisibility);
+        };
+    }, [getAnalyser, isActive, mode]);
+
+    return (
+        <div className="flex flex-col items-center gap-2">
+            <canvas
+                ref={canvasRef}
+                className="border"
+                style={{ width: WIDTH, maxWidth: '100%', aspectRatio: `${WIDTH} / ${HEIGHT}`, borderColor: '#B1ADA1', imageRendering: 'pixelated' }}
+            />
+            <div className="flex gap-3 font-serif text-xs uppercase tracking-wider">
+                {MODES.map(m => (
+                    <button
+                        key={m.id}
+                        onClick={() => onModeChange(m.id)}
+                        className="border-0 transition-colors duration-150"
+                        style={{ color: mode === m.id ? '#C15F3C' : '#B1ADA1' }}
+                    >
+                        {m.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
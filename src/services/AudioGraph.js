@@ -0,0 +1,161 @@
+/**
+ * AudioGraph.js - The one AudioContext and the master bus every engine plugs into
+ * engine inputs -> master FX (safety limiter) -> master gain (volume) -> meter -> destination
+ * Volume, metering and master processing therefore apply whichever engine is playing.
+ * The mixed engine inputs are also tapped (pre-volume) for recording, so a
+ * crossfade is captured once, as heard.
+ */
+
+// Lyria streams 44.1kHz; the synth and recordings share that rate
+const SAMPLE_RATE = 44100;
+
+// Drop pending automation, including a fade already under way (which would reject new events)
+function cancelFades(param, now) {
+    if (param.cancelAndHoldAtTime) {
+        param.cancelAndHoldAtTime(now);
+    } else {
+        const value = param.value;
+        param.cancelScheduledValues(0);
+        param.setValueAtTime(value, now);
+    }
+}
+
+class AudioGraph {
+    constructor() {
+        this.context = null;
+        this.inputs = new Map(); // engine id -> GainNode
+        this.fxInput = null;
+        this.limiter = null;
+        this.masterGain = null;
+        this.meter = null;
+        this.captureNode = null;
+        this.captureHandler = null; // (left, right) => void, fed from the capture tap
+        this.volume = 1.0;
+    }
+
+    /**
+     * The shared AudioContext, created on first use (call from a user gesture)
+     */
+    getContext() {
+        if (!this.context) this.build();
+        return this.context;
+    }
+
+    build() {
+        this.context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: SAMPLE_RATE });
+
+        this.fxInput = this.context.createGain();
+
+        // Catch peaks when volume is pushed past 100% rather than clipping
+        this.limiter = this.context.createDynamicsCompressor();
+        this.limiter.threshold.value = -1;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.003;
+        this.limiter.release.value = 0.1;
+
+        this.masterGain = this.context.createGain();
+        this.masterGain.gain.value = this.volume;
+
+        this.meter = this.context.createAnalyser();
+        this.meter.fftSize = 2048;
+        this.meter.smoothingTimeConstant = 0.8;
+
+        this.fxInput.connect(this.limiter);
+        this.limiter.connect(this.masterGain);
+        this.masterGain.connect(this.meter);
+        this.meter.connect(this.context.destination);
+
+        // Capture tap: engine mix -> ScriptProcessor (silent output)
+        this.captureNode = this.context.createScriptProcessor(4096, 2, 2);
+        this.captureNode.onaudioprocess = (e) => {
+            this.captureHandler?.(e.inputBuffer.getChannelData(0), e.inputBuffer.getChannelData(1));
+        };
+        this.fxInput.connect(this.captureNode);
+        this.captureNode.connect(this.context.destination);
+
+        console.log('🎚️ [AudioGraph] Master bus ready at', SAMPLE_RATE, 'Hz');
+    }
+
+    /**
+     * Bus input for an engine (one per engine id, created on demand)
+     */
+    getInput(id) {
+        if (!this.inputs.has(id)) {
+            const input = this.getContext().createGain();
+            input.connect(this.fxInput);
+            this.inputs.set(id, input);
+        }
+        return this.inputs.get(id);
+    }
+
+    /**
+     * Jump an engine's bus input to a level, dropping any fade in progress
+     */
+    setInputLevel(id, level) {
+        const gain = this.getInput(id).gain;
+        cancelFades(gain, this.context.currentTime);
+        gain.setValueAtTime(level, this.context.currentTime);
+    }
+
+    /**
+     * Equal-power crossfade between two engine inputs over `seconds`
+     */
+    crossfade(fromId, toId, seconds) {
+        const steps = 64;
+        const fadeOut = new Float32Array(steps);
+        const fadeIn = new Float32Array(steps);
+        for (let i = 0; i < steps; i++) {
+            const t = i / (steps - 1);
+            fadeOut[i] = Math.cos(t * Math.PI / 2);
+            fadeIn[i] = Math.sin(t * Math.PI / 2);
+        }
+
+        const now = this.context.currentTime;
+        const start = now + 0.01; // Clear of the held value at `now`
+        [[fromId, fadeOut], [toId, fadeIn]].forEach(([id, curve]) => {
+            const gain = this.getInput(id).gain;
+            cancelFades(gain, now);
+            gain.setValueCurveAtTime(curve, start, seconds);
+        });
+        console.log(`🎚️ [AudioGraph] Crossfading ${fromId} → ${toId} over ${seconds}s`);
+    }
+
+    /**
+     * Master volume (0.25 - 1.75, where 1.0 is 100%)
+     */
+    setVolume(value) {
+        this.volume = Math.max(0, Math.min(1.75, value));
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(this.volume, this.context.currentTime, 0.01);
+        }
+        console.log('🔊 [Volume] Set to:', Math.round(this.volume * 100) + '%');
+    }
+
+    /**
+     * Receive the engine mix in stereo blocks (null to stop)
+     */
+    setCaptureHandler(handler) {
+        this.captureHandler = handler;
+    }
+
+    /**
+     * Post-volume analyser on the master bus (null until the context exists)
+     */
+    getMeter() {
+        return this.meter;
+    }
+
+    /**
+     * Resume after the browser's autoplay suspension
+     */
+    async resume() {
+        if (this.context?.state === 'suspended') await this.context.resume();
+    }
+}
+
+// Singleton instance
+const audioGraph = new AudioGraph();
+
+export default audioGraph;
+export { AudioGraph, SAMPLE_RATE };
@@ -0,0 +1,402 @@
+/**
+ * EngineRouter.js - Registry and router for music engines
+ * The app talks only to the router; it holds the authoritative prompts and
+ * config, forwards them to the active engine, hands them over when the
+ * engine changes and re-dispatches the active engine's events. Volume and
+ * metering live on the shared master bus (AudioGraph).
+ *
+ * Engine interface (an EventTarget):
+ *   id, label, playbackState ('stopped' | 'loading' | 'playing' | 'paused')
+ *   play(), pause(), stop()
+ *   setWeightedPrompts(prompts, { transient }), setMusicConfig(config), setTempo(bpm)
+ *   getOutputNode() - node carrying the engine's audio into its AudioGraph input
+ *   getAnalyser(), getAudioContext() - the shared AudioGraph context
+ *   isAvailable() - whether it can make sound right now (e.g. has an API key)
+ *   Events: 'playback-state-changed', 'error', 'engine-failed' ({ reason, wasPlaying })
+ *   Optional: configure(options), validateApiKey(key), reconnect(), retryNow(), cancelReconnect(),
+ *             enhancePrompt(text), generateCreativePrompt(),
+ *             'connected' and engine-specific events listed in FORWARDED_EVENTS
+ */
+
+import liveMusicService from './LiveMusicService';
+import simpleSynthService from './SimpleSynthService';
+import audioGraph from './AudioGraph';
+import recorderService from './RecorderService';
+
+// Overlap when switching engines mid-playback, and how long to wait for the incoming one
+const CROSSFADE_SEC = 3;
+const HANDOFF_TIMEOUT_MS = 15000;
+
+// Engine events re-dispatched by the router while that engine is active
+const FORWARDED_EVENTS = [
+    'playback-state-changed',
+    'error',
+    'reconnecting',
+    'stalled',
+    'filtered-prompt',
+    'context-reset-state',
+    'buffer-stats',
+];
+
+class EngineRouter extends EventTarget {
+    constructor() {
+        super();
+        this.engines = new Map(); // id -> { engine, priority }
+        this.activeId = null;
+        this.policy = 'auto';     // 'auto': fail over by priority, 'manual': stay on the selected engine
+        this.isFailover = false;  // Active engine was chosen by failover, not by the user
+        this.handoff = null;      // { from, timer } while the outgoing engine keeps playing
+        this.isGivingUp = false;  // User abandoned a reconnect: fail over whatever the policy
+
+        this.prompts = [];
+        this.musicConfig = {};
+
+        // Recordings come from the bus mix, not from each engine, so overlapping engines aren't interleaved
+        audioGraph.setCaptureHandler((left, right) => {
+            if (this.playbackState === 'playing') recorderService.capture(left, right);
+        });
+    }
+
+    /**
+     * Add an engine; lower priority numbers are preferred for failover
+     */
+    register(engine, { priority = this.engines.size } = {}) {
+        this.engines.set(engine.id, { engine, priority });
+
+        FORWARDED_EVENTS.forEach(type => {
+            engine.addEventListener(type, (e) => {
+                if (engine.id !== this.activeId) return;
+                // Mid-handoff the outgoing engine is still audible; only report the incoming one once it plays
+                if (type === 'playback-state-changed' && this.handoff && e.detail !== 'playing') return;
+                this.dispatchEvent(new CustomEvent(type, { detail: e.detail }));
+            });
+        });
+        engine.addEventListener('connected', () => {
+            if (engine.id === this.activeId) this.emitEngineChanged();
+        });
+        engine.addEventListener('engine-failed', (e) => {
+            if (engine.id === this.activeId) this.handleEngineFailed(engine, e.detail);
+        });
+
+        if (!this.activeId) this.activeId = engine.id;
+        console.log(`🔌 [Router] Registered engine: ${engine.label} (priority ${priority})`);
+    }
+
+    /**
+     * Engines in priority order as { id, label, isAvailable }
+     */
+    getEngines() {
+        return this.byPriority().map(engine => ({
+            id: engine.id,
+            label: engine.label,
+            isAvailable: engine.isAvailable(),
+        }));
+    }
+
+    byPriority() {
+        return [...this.engines.values()]
+            .sort((a, b) => a.priority - b.priority)
+            .map(entry => entry.engine);
+    }
+
+    get active() {
+        return this.engines.get(this.activeId)?.engine || null;
+    }
+
+    get playbackState() {
+        if (this.handoff) return 'playing';
+        return this.active?.playbackState || 'stopped';
+    }
+
+    setPolicy(policy) {
+        this.policy = policy;
+        console.log('🔌 [Router] Engine policy:', policy);
+    }
+
+    /**
+     * Pass options (e.g. { apiKey }) to every engine that takes them
+     */
+    configure(options) {
+        this.engines.forEach(({ engine }) => engine.configure?.(options));
+    }
+
+    /**
+     * Check an API key with the first engine that can (before it is saved)
+     */
+    async validateApiKey(apiKey) {
+        const engine = this.byPriority().find(e => e.validateApiKey);
+        if (!engine) return { valid: false, error: 'No engine uses an API key' };
+        return engine.validateApiKey(apiKey);
+    }
+
+    /**
+     * Switch engines, handing over prompts and config (BPM, density, brightness...).
+     * Mid-playback the old engine keeps playing until the new one is audible,
+     * then the two crossfade on the master bus.
+     */
+    async select(id, { isFailover = false, resume } = {}) {
+        const next = this.engines.get(id)?.engine;
+        if (!next) return;
+
+        const wasPlaying = resume ?? ['playing', 'loading'].includes(this.playbackState);
+        this.finishHandoff();
+        const previous = this.active;
+        const wasFailover = this.isFailover;
+        this.isFailover = isFailover;
+
+        if (previous === next) {
+            this.emitEngineChanged();
+            if (wasPlaying && next.playbackState !== 'playing') {
+                await next.play();
+            } else {
+                this.dispatchEvent(new CustomEvent('playback-state-changed', { detail: next.playbackState }));
+            }
+            return;
+        }
+
+        // Switch first so the old engine's final 'stopped' isn't forwarded
+        this.activeId = id;
+        console.log(`🔌 [Router] Active engine: ${next.label}${isFailover ? ' (failover)' : ''}`);
+        this.handOver(next);
+        this.emitEngineChanged();
+
+        if (!wasPlaying || !previous) {
+            if (previous && previous.playbackState !== 'stopped') previous.stop();
+            this.dispatchEvent(new CustomEvent('playback-state-changed', { detail: next.playbackState }));
+            return;
+        }
+
+        // Start the new engine silent and wait for its first audio before fading across
+        audioGraph.setInputLevel(next.id, 0);
+        this.handoff = { from: previous, wasFailover, timer: null };
+        const audible = this.waitForAudio(next);
+        await next.play();
+
+        if (!(await audible)) {
+            this.abortHandoff(previous, next);
+            return;
+        }
+        if (this.handoff?.from !== previous) return; // Superseded by a newer switch or transport call
+
+        audioGraph.crossfade(previous.id, next.id, CROSSFADE_SEC);
+        this.handoff.timer = setTimeout(() => this.finishHandoff(), CROSSFADE_SEC * 1000);
+    }
+
+    handOver(engine) {
+        engine.setMusicConfig({ ...this.musicConfig });
+        engine.setWeightedPrompts(this.prompts, { transient: true });
+    }
+
+    /**
+     * Resolves true once the engine is playing, false if it stops, pauses or times out first
+     */
+    waitForAudio(engine) {
+        if (engine.playbackState === 'playing') return Promise.resolve(true);
+
+        return new Promise(resolve => {
+            const done = (result) => {
+                clearTimeout(timer);
+                engine.removeEventListener('playback-state-changed', onState);
+                resolve(result);
+            };
+            const onState = (e) => {
+                if (e.detail !== 'loading') done(e.detail === 'playing');
+            };
+            const timer = setTimeout(() => done(false), HANDOFF_TIMEOUT_MS);
+            engine.addEventListener('playback-state-changed', onState);
+        });
+    }
+
+    /**
+     * End the overlap: stop the outgoing engine and restore both bus inputs
+     */
+    finishHandoff() {
+        if (!this.handoff) return;
+        const { from, timer } = this.handoff;
+        this.handoff = null;
+        clearTimeout(timer);
+
+        // Stop even if already 'stopped': a failed engine may still be draining its buffer
+        if (from !== this.active) from.stop();
+        audioGraph.setInputLevel(from.id, 1);
+        if (this.active) audioGraph.setInputLevel(this.active.id, 1);
+    }
+
+    /**
+     * The incoming engine never became audible: stay on the outgoing one if it still plays
+     */
+    abortHandoff(previous, next) {
+        if (this.handoff?.from !== previous) return;
+        const { wasFailover } = this.handoff;
+        this.handoff = null;
+        console.warn(`⚠️ [Router] ${next.label} didn't start, staying on ${previous.label}`);
+
+        if (next.playbackState !== 'stopped') next.stop();
+        audioGraph.setInputLevel(next.id, 1);
+
+        if (previous.playbackState === 'playing') {
+            this.activeId = previous.id;
+            this.isFailover = wasFailover;
+            this.emitEngineChanged();
+        }
+        this.dispatchEvent(new CustomEvent('playback-state-changed', { detail: this.active.playbackState }));
+    }
+
+    /**
+     * Active engine gave up: fail over to the next available engine (auto policy)
+     */
+    handleEngineFailed(engine, { reason, wasPlaying }) {
+        console.warn(`⚠️ [Router] ${engine.label} failed: ${reason}`);
+        if (this.policy !== 'auto' && !this.isGivingUp) return;
+
+        const next = this.byPriority().find(e => e !== engine && e.isAvailable());
+        if (next) this.select(next.id, { isFailover: true, resume: wasPlaying });
+    }
+
+    /**
+     * Under the auto policy, play on the preferred available engine.
+     * After a failover we stay put until reconnect() brings the preferred engine back.
+     */
+    async ensurePlayableEngine() {
+        if (this.policy !== 'auto') return;
+        const [first] = this.byPriority();
+        const preferred = this.byPriority().find(e => e.isAvailable());
+        if (!preferred || preferred === this.active) return;
+        if (this.isFailover && this.active?.isAvailable()) return;
+        await this.select(preferred.id, { isFailover: preferred !== first, resume: false });
+    }
+
+    /**
+     * Try to bring the preferred engine back (e.g. Lyria after failover)
+     */
+    async reconnect() {
+        const preferred = this.byPriority().find(e => e.reconnect);
+        if (!preferred) return false;
+
+        const success = await preferred.reconnect();
+        if (success) {
+            await this.select(preferred.id, { resume: ['playing', 'loading'].includes(this.playbackState) });
+        }
+        return success;
+    }
+
+    /**
+     * Skip the active engine's reconnect backoff
+     */
+    retryReconnectNow() {
+        return this.active?.retryNow?.();
+    }
+
+    /**
+     * Abandon the active engine's reconnect and fall back to the next engine
+     */
+    giveUpReconnect() {
+        if (!this.active?.cancelReconnect) return;
+        this.isGivingUp = true;
+        try {
+            this.active.cancelReconnect();
+        } finally {
+            this.isGivingUp = false;
+        }
+    }
+
+    emitEngineChanged() {
+        this.dispatchEvent(new CustomEvent('engine-changed', {
+            detail: { id: this.activeId, isFailover: this.isFailover }
+        }));
+    }
+
+    // --- Transport ---
+
+    async play() {
+        await this.ensurePlayableEngine();
+        return this.active.play();
+    }
+
+    pause() {
+        this.finishHandoff();
+        return this.active.pause();
+    }
+
+    stop() {
+        this.finishHandoff();
+        return this.active.stop();
+    }
+
+    async playPause() {
+        switch (this.playbackState) {
+            case 'playing':
+                return this.pause();
+            case 'paused':
+            case 'stopped':
+                return this.play();
+            case 'loading':
+                return this.stop();
+        }
+    }
+
+    // --- Musical state ---
+
+    setWeightedPrompts(prompts, options) {
+        this.prompts = prompts;
+        return this.active.setWeightedPrompts(prompts, options);
+    }
+
+    setMusicConfig(config) {
+        Object.entries(config).forEach(([key, value]) => {
+            if (value === null) delete this.musicConfig[key]; // Unset, as in the engines
+            else if (value !== undefined) this.musicConfig[key] = value;
+        });
+        return this.active.setMusicConfig(config);
+    }
+
+    setTempo(bpm) {
+        this.musicConfig.bpm = bpm;
+        return this.active.setTempo(bpm);
+    }
+
+    setVolume(value) {
+        audioGraph.setVolume(value);
+    }
+
+    // --- Audio taps ---
+
+    getOutputNode() {
+        return this.active?.getOutputNode() || null;
+    }
+
+    getAnalyser() {
+        return this.active?.getAnalyser() || null;
+    }
+
+    getAudioContext() {
+        return this.active?.getAudioContext() || null;
+    }
+
+    /**
+     * Post-volume analyser on the master bus, whichever engine is playing
+     */
+    getMeter() {
+        return audioGraph.getMeter();
+    }
+
+    // --- Prompt helpers from whichever engine offers them ---
+
+    async enhancePrompt(text) {
+        const engine = this.byPriority().find(e => e.enhancePrompt);
+        return engine ? engine.enhancePrompt(text) : text;
+    }
+
+    async generateCreativePrompt() {
+        const engine = this.byPriority().find(e => e.generateCreativePrompt);
+        return engine ? engine.generateCreativePrompt() : 'Lofi hip hop beats to study to';
+    }
+}
+
+// Singleton instance with the built-in engines (Lyria preferred, local synth as fallback)
+const engineRouter = new EngineRouter();
+engineRouter.register(liveMusicService, { priority: 0 });
+engineRouter.register(simpleSynthService, { priority: 1 });
+
+export default engineRouter;
+export { EngineRouter };
@@ -1,34 +1,87 @@
 /**
  * LiveMusicService.js - React-compatible port of LiveMusicHelper
- * Handles WebSocket connection to Lyria RealTime API via @google/genai
+ * Handles WebSocket connection to Lyria RealTime API via @google/genai.
+ * Registered with EngineRouter as the 'lyria' engine.
  */
 import { GoogleGenAI } from '@google/genai';
-import fallbackService from './SimpleSynthService';
+import recorderService from './RecorderService';
+import { RESET_KEYS } from '../utils/musicConfig';
+import { JitterBuffer, MIN_PADDING } from '../utils/jitterBuffer';
+import { PcmDecoder } from '../utils/pcmDecoder';
+import { PcmWorkletPlayer } from '../utils/pcmWorkletPlayer';
+import { ReconnectPolicy } from '../utils/reconnectPolicy';
+import { DEFAULT_ENGINE_SETTINGS } from '../utils/engineSettings';
+import audioGraph, { SAMPLE_RATE } from './AudioGraph';
 
-// Use the correct model path per Google documentation
-const MODEL = 'models/lyria-realtime-exp';
+// The SDK insists on a key; behind the proxy this placeholder is replaced server-side
+const PROXY_PLACEHOLDER_KEY = 'proxy';
+
+// Wait for BPM/scale controls to settle before resetting the Lyria context
+const RESET_SETTLE_MS = 800;
+
+// Bursts of config changes (knob drags) are coalesced into one send per interval
+const CONFIG_FLUSH_MS = 100;
+
+// Stall watchdog: a session is stalled once the buffered audio has run out and
+// no chunk has arrived for a further `stallGap` seconds
+const DEFAULT_STALL_GAP = 5;
+const WATCHDOG_MS = 500;
 
 class LiveMusicService extends EventTarget {
     constructor() {
         super();
+        this.id = 'lyria';
+        this.label = 'Lyria RealTime';
         this.ai = null;
+        this.clientSource = null;       // What this.ai was built from (key, proxy URL or injected client)
+        this.model = DEFAULT_ENGINE_SETTINGS.lyriaModel;        // Model path per Google documentation
+        this.textModelName = DEFAULT_ENGINE_SETTINGS.textModel; // Gemini model for prompt enhancement
         this.session = null;
         this.sessionPromise = null;
         this.playbackState = 'stopped';
         this.audioContext = null;
         this.outputNode = null;
-        this.nextStartTime = 0;
-        this.bufferTime = 1.5;
+        this.analyser = null;
+        this.decoder = null;            // Worker-backed PCM decoder
+        this.player = null;             // AudioWorklet ring-buffer player (null: schedule buffer sources)
+        this.nextStartTime = 0;         // Buffer-source scheduling only
+        this.scheduledLatency = 0;      // Cushion nextStartTime was anchored with
+        this.jitterBuffer = new JitterBuffer(); // Adaptive playout latency + underrun stats
         this.prompts = [];
         this.filteredPrompts = new Set();
         this.connectionError = true;
-        this.useFallback = false;
-        this.activeEngine = 'none'; // 'lyria', 'fallback', or 'none'
 
         // Auto-reconnect state
+        this.reconnectPolicy = new ReconnectPolicy();
         this.retryCount = 0;
-        this.maxRetries = 5;
         this.isReconnecting = false;
+        this.reconnectTimer = null;
+        this.isWaitingForNetwork = false; // Offline: retries resume on the 'online' event
+        this.reconnectEpoch = 0;          // Bumped when retries are abandoned, so in-flight attempts bail
+        this.lastFailureReason = null;
+        this.handleOnline = this.handleOnline.bind(this);
+        this.connectionId = 0;          // Callbacks from superseded sockets are ignored
+
+        // Stall watchdog (socket open but no audio)
+        this.stallGap = DEFAULT_STALL_GAP;
+        this.watchdogTimer = null;
+        this.lastChunkAt = 0;           // AudioContext time of the last arrival
+        this.bufferedAtLastChunk = 0;   // Seconds of audio queued at that arrival
+        this.isStalled = false;
+
+        // Authoritative music generation config. setMusicGenerationConfig replaces
+        // the whole server-side config, so the full object is always what gets sent
+        this.musicConfig = {};
+        this.configFlushTimer = null;
+        this.configSendInFlight = false;
+        this.configDirty = false;
+
+        // Context reset (BPM and scale changes only apply after a reset on Lyria)
+        this.pendingResetKeys = new Set();
+        this.applyingResetKeys = new Set();
+        this.resetTimer = null;
+        this.resetInFlight = false;
+        this.awaitingResetAudio = false;
     }
 
     /**
@@ -41,14 +94,129 @@ class LiveMusicService extends EventTarget {
         }
 
         // Use v1alpha API version per Google documentation
-        this.ai = new GoogleGenAI({
+        this.useClient(new GoogleGenAI({
             apiKey,
             apiVersion: 'v1alpha'
-        });
+        }));
+    }
+
+    /**
+     * Route the SDK through the key-holding proxy (server/proxy.js) instead of a raw key
+     */
+    initProxy(proxyUrl) {
+        console.log('🛡️ [Lyria] Using API proxy at', proxyUrl);
+        this.useClient(new GoogleGenAI({
+            apiKey: PROXY_PLACEHOLDER_KEY,
+            apiVersion: 'v1alpha',
+            httpOptions: { baseUrl: proxyUrl }
+        }));
+    }
+
+    /**
+     * Use a GoogleGenAI-compatible client (the real SDK or SimulatedGenAI)
+     * With @google/genai SDK, we access models via this.ai.models
+     */
+    useClient(ai) {
+        this.ai = ai;
+    }
+
+    /**
+     * Engine options from the router. Passing any of ai / proxyUrl / apiKey
+     * (null clears) picks the client; a live session restarts on the new
+     * client or Lyria model without a page reload.
+     * @param {{ apiKey?: string, proxyUrl?: string, ai?: object, lyriaModel?: string, textModel?: string,
+     *           latency?: number|null, stallGap?: number, reconnect?: object }} options
+     *   proxyUrl: key-holding proxy to use instead of apiKey;
+     *   ai: client to use instead of either (e.g. the offline simulator);
+     *   latency: fixed playout latency in seconds, null for adaptive;
+     *   stallGap: seconds of silence past the buffer; reconnect: partial ReconnectPolicy options
+     */
+    configure(options = {}) {
+        const { lyriaModel, textModel, latency, stallGap, reconnect } = options;
+        let needsRestart = false;
+
+        if (['ai', 'proxyUrl', 'apiKey'].some(key => key in options)) {
+            needsRestart = this.setClient(options);
+        }
+        if (lyriaModel && lyriaModel !== this.model) {
+            console.log('🎛️ [Lyria] Model:', lyriaModel);
+            this.model = lyriaModel;
+            needsRestart = true;
+        }
+        if (textModel) this.textModelName = textModel;
+        if (latency !== undefined) {
+            this.jitterBuffer.setFixedLatency(latency);
+            this.player?.setLatency(this.jitterBuffer.targetLatency);
+        }
+        if (stallGap > 0) this.stallGap = stallGap;
+        if (reconnect) this.reconnectPolicy.update(reconnect);
+
+        if (needsRestart) this.restartSession();
+    }
+
+    /**
+     * Build the client from the first of ai / proxyUrl / apiKey; returns whether it changed
+     */
+    setClient({ ai, proxyUrl, apiKey }) {
+        const source = ai || (proxyUrl && `proxy:${proxyUrl}`) || apiKey || null;
+        if (source === this.clientSource) return false;
+        this.clientSource = source;
+
+        if (ai) this.useClient(ai);
+        else if (proxyUrl) this.initProxy(proxyUrl);
+        else if (apiKey) this.init(apiKey);
+        else {
+            console.log('🔑 [Lyria] API key cleared');
+            this.ai = null;
+        }
+        return true;
+    }
+
+    /**
+     * Drop the current session so the next one uses the new settings; resumes if it was playing
+     */
+    restartSession() {
+        if (!this.session && !this.sessionPromise) return;
+        const wasPlaying = this.playbackState === 'playing' || this.playbackState === 'loading';
+        console.log('🔁 [Lyria] Settings changed, restarting session');
 
-        // Initialize Gemini model for text generation (prompt enhancement)
-        // With @google/genai SDK, we access models via this.ai.models
-        this.textModelName = 'gemini-3-flash-preview';
+        this.closeSession();
+        this.stop();
+        if (wasPlaying && this.ai) this.play();
+    }
+
+    /**
+     * Close the socket and forget it; its late callbacks are ignored
+     */
+    closeSession() {
+        const session = this.session;
+        this.session = null;
+        this.sessionPromise = null;
+        this.connectionId++;
+        try { session?.close(); } catch { }
+    }
+
+    /**
+     * Check a key against the API before it is saved. Lists models rather than
+     * fetching the configured one, so a mistyped model id can't fail a good key.
+     * @returns {Promise<{ valid: boolean, error?: string }>}
+     */
+    async validateApiKey(apiKey) {
+        try {
+            const ai = new GoogleGenAI({ apiKey, apiVersion: 'v1alpha' });
+            await ai.models.list({ config: { pageSize: 1 } });
+            return { valid: true };
+        } catch (error) {
+            console.warn('🔑 [Lyria] API key check failed:', error?.message);
+            return { valid: false, error: error?.message || 'Key was rejected' };
+        }
+    }
+
+    /**
+     * Lyria can only play with an API key
+     */
+    isAvailable() {
+        return !!this.ai;
     }
 
     /**
@@ -146,27 +314,47 @@ Now enhance: "${basePrompt}"`
     async ensureAudioContext() {
         if (this.audioContext) return;
 
-        // Use 44100Hz sample rate per Google documentation
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 44100 });
+        // Shared 44.1kHz context (per Google documentation); volume lives on the master bus
+        this.audioContext = audioGraph.getContext();
         this.outputNode = this.audioContext.createGain();
 
-        // Master volume node
-        this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = this.volume || 1.0;
-        this.outputNode.connect(this.masterGain);
-        this.masterGain.connect(this.audioContext.destination);
+        // Analyser tap: outputNode -> analyser -> master bus input
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.8;
+
+        this.outputNode.connect(this.analyser);
+        this.analyser.connect(audioGraph.getInput(this.id));
+
+        // Decode off the main thread and play through one continuous worklet node
+        this.decoder = new PcmDecoder();
+        this.player = await PcmWorkletPlayer.create(this.audioContext, this.jitterBuffer.targetLatency);
+        if (this.player) {
+            this.player.connect(this.outputNode);
+            this.player.addEventListener('playing', () => {
+                if (this.playbackState === 'loading') this.setPlaybackState('playing');
+            });
+            this.player.addEventListener('underrun', () => this.handlePlayerUnderrun());
+            this.player.addEventListener('overflow', () => {
+                console.warn('⚠️ [Buffer] Ring buffer full, dropped audio');
+            });
+        } else {
+            console.warn('⚠️ [Player] AudioWorklet unavailable, scheduling buffer sources');
+        }
     }
 
     /**
-     * Set master volume (0.0 - 1.75, where 1.0 is 100%)
-     * Supports -75% (0.25) to +75% (1.75) range
+     * AnalyserNode at the end of the Lyria chain (null before first play)
      */
-    setVolume(value) {
-        this.volume = Math.max(0, Math.min(1.75, value));
-        if (this.masterGain) {
-            this.masterGain.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
-        }
-        console.log('🔊 [Volume] Set to:', Math.round(this.volume * 100) + '%');
+    getAnalyser() {
+        return this.analyser;
+    }
+
+    /**
+     * Stable output of the engine (outputNode is swapped on pause/stop), feeding the master bus
+     */
+    getOutputNode() {
+        return this.analyser;
     }
 
     /**
@@ -189,11 +377,16 @@ Now enhance: "${basePrompt}"`
 
         console.log('🎵 [Lyria] Attempting to connect...');
 
+        const connectionId = ++this.connectionId;
+        const isCurrent = () => connectionId === this.connectionId;
+
         try {
             this.sessionPromise = this.ai.live.music.connect({
-                model: MODEL,
+                model: this.model,
                 callbacks: {
                     onmessage: async (message) => {
+                        if (!isCurrent()) return;
+
                         if (message.setupComplete) {
                             console.log('✅ [Lyria] Connection established and setup complete!');
                             this.connectionError = false;
@@ -201,10 +394,9 @@ Now enhance: "${basePrompt}"`
                             // Reset retry state on successful connection
                             this.retryCount = 0;
                             this.isReconnecting = false;
+                            this.clearPendingReconnect();
 
-                            this.activeEngine = 'lyria';
-                            this.useFallback = false; // Reset fallback on success
-                            this.dispatchEvent(new CustomEvent('engine-changed', { detail: 'lyria' }));
+                            this.dispatchEvent(new CustomEvent('connected'));
                         }
 
                         if (message.filteredPrompt) {
@@ -221,6 +413,7 @@ Now enhance: "${basePrompt}"`
                         }
                     },
                     onerror: (error) => {
+                        if (!isCurrent()) return;
                         console.error('❌ [Lyria] WebSocket Error Details:', {
                             message: error?.message,
                             error: error,
@@ -229,6 +422,7 @@ Now enhance: "${basePrompt}"`
                         this.handleConnectionFailure(`Connection error: ${error?.message || 'Unknown error'}`);
                     },
                     onclose: (event) => {
+                        if (!isCurrent()) return;
                         console.warn('🔌 [Lyria] WebSocket Closed Details:', {
                             code: event?.code,
                             reason: event?.reason,
@@ -260,8 +454,8 @@ Now enhance: "${basePrompt}"`
         this.session = null;
         this.sessionPromise = null;
 
-        // If explicitly stopped or max retries reached, fail permanently
-        if (this.retryCount >= this.maxRetries) {
+        // Out of attempts under the reconnect policy: fail permanently
+        if (!this.reconnectPolicy.canRetry(this.retryCount + 1)) {
             this.handleFinalFailure(reason);
             return;
         }
@@ -270,81 +464,154 @@ Now enhance: "${basePrompt}"`
     }
 
     /**
-     * Attempt to reconnect with exponential backoff
+     * Attempt to reconnect with backoff from the reconnect policy
      */
     attemptAutoReconnect(reason) {
         if (this.isReconnecting) return;
 
         this.isReconnecting = true;
         this.retryCount++;
+        this.lastFailureReason = reason;
 
-        const delay = Math.pow(2, this.retryCount - 1) * 1000; // 1s, 2s, 4s, 8s, 16s
-        console.log(`🔄 [Lyria] Auto-reconnect triggered: Attempt ${this.retryCount}/${this.maxRetries}. Waiting ${delay}ms...`);
+        if (navigator.onLine === false) {
+            this.waitForNetwork();
+            return;
+        }
+
+        const delay = this.reconnectPolicy.delayFor(this.retryCount);
+        console.log(`🔄 [Lyria] Auto-reconnect triggered: Attempt ${this.describeAttempt()}. Waiting ${delay}ms...`);
+        this.emitReconnecting({ delay });
+        this.reconnectTimer = setTimeout(() => this.runReconnectAttempt(), delay);
+    }
 
-        // Notify UI of reconnection attempt
+    /**
+     * Run the pending attempt; while offline it waits for the network instead
+     */
+    async runReconnectAttempt({ ignoreOffline = false } = {}) {
+        this.reconnectTimer = null;
+        if (navigator.onLine === false && !ignoreOffline) {
+            this.waitForNetwork();
+            return;
+        }
+
+        const epoch = this.reconnectEpoch;
+        console.log(`🏃 [Lyria] Executing reconnect attempt ${this.retryCount}...`);
+        try {
+            this.isReconnecting = false;
+            const success = await this.reconnect();
+            if (epoch !== this.reconnectEpoch) return; // Given up meanwhile
+
+            if (success) {
+                console.log(`✅ [Lyria] Reconnect attempt ${this.retryCount} succeeded!`);
+            } else {
+                console.warn(`⚠️ [Lyria] Reconnect attempt ${this.retryCount} failed to establish session.`);
+                this.handleConnectionFailure('Reconnect attempt failed to return success');
+            }
+        } catch (e) {
+            if (epoch !== this.reconnectEpoch) return;
+            console.error(`❌ [Lyria] Reconnect attempt ${this.retryCount} crashed:`, e);
+            this.handleConnectionFailure('Reconnect wrapper exception');
+        }
+    }
+
+    waitForNetwork() {
+        if (this.isWaitingForNetwork) return;
+        console.log('📴 [Lyria] Browser is offline, holding reconnect until the network returns');
+        this.isWaitingForNetwork = true;
+        window.addEventListener('online', this.handleOnline);
+        this.emitReconnecting({ delay: null, offline: true });
+    }
+
+    handleOnline() {
+        if (!this.isWaitingForNetwork) return;
+        console.log('📶 [Lyria] Back online, resuming reconnect');
+        this.clearPendingReconnect();
+        this.emitReconnecting({ delay: 0 });
+        this.runReconnectAttempt();
+    }
+
+    emitReconnecting({ delay, offline = false }) {
+        const { infinite, maxAttempts } = this.reconnectPolicy;
         this.dispatchEvent(new CustomEvent('reconnecting', {
-            detail: { attempt: this.retryCount, max: this.maxRetries, delay, reason }
+            detail: {
+                attempt: this.retryCount,
+                max: infinite ? null : maxAttempts,
+                delay,
+                offline,
+                reason: this.lastFailureReason,
+            }
         }));
+    }
 
-        setTimeout(async () => {
-            console.log(`🏃 [Lyria] Executing reconnect attempt ${this.retryCount}...`);
-            try {
-                this.isReconnecting = false;
-                const success = await this.reconnect();
-
-                if (success) {
-                    console.log(`✅ [Lyria] Reconnect attempt ${this.retryCount} succeeded!`);
-                } else {
-                    console.warn(`⚠️ [Lyria] Reconnect attempt ${this.retryCount} failed to establish session.`);
-                    this.handleConnectionFailure('Reconnect attempt failed to return success');
-                }
-            } catch (e) {
-                console.error(`❌ [Lyria] Reconnect attempt ${this.retryCount} crashed:`, e);
-                this.handleConnectionFailure('Reconnect wrapper exception');
-            }
-        }, delay);
+    describeAttempt() {
+        return this.reconnectPolicy.infinite
+            ? `${this.retryCount}`
+            : `${this.retryCount}/${this.reconnectPolicy.maxAttempts}`;
+    }
+
+    /**
+     * Drop a scheduled retry or a wait for the network (the attempt itself may still be owed)
+     */
+    clearPendingReconnect() {
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.isWaitingForNetwork) {
+            this.isWaitingForNetwork = false;
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    /**
+     * Skip the backoff (or the offline wait) and try right away
+     */
+    retryNow() {
+        if (!this.reconnectTimer && !this.isWaitingForNetwork) return; // An attempt is already running
+        console.log('⏩ [Lyria] Retrying now');
+        this.clearPendingReconnect();
+        this.emitReconnecting({ delay: 0 });
+        return this.runReconnectAttempt({ ignoreOffline: true });
     }
 
     /**
-     * Final failure handler - switches to fallback
+     * Stop retrying and fail permanently, so the router can fail over
+     */
+    cancelReconnect() {
+        if (!this.retryCount) return; // Not retrying
+        console.log('🛑 [Lyria] Reconnect cancelled by user');
+        this.handleFinalFailure('Reconnect cancelled');
+    }
+
+    /**
+     * Final failure handler - tears down the session and reports 'engine-failed' so the router can fail over
      */
     handleFinalFailure(reason) {
-        console.error('❌ [Lyria] Connection failed permanently. Switching to fallback.');
+        console.error('❌ [Lyria] Connection failed permanently.');
         this.connectionError = true;
-        this.useFallback = true;
-        this.activeEngine = 'fallback';
         this.retryCount = 0;
         this.isReconnecting = false;
+        this.reconnectEpoch++;
+        this.clearPendingReconnect();
+        const wasPlaying = this.playbackState === 'playing' || this.playbackState === 'loading';
 
-        this.dispatchEvent(new CustomEvent('engine-changed', { detail: 'fallback' }));
         this.dispatchEvent(new CustomEvent('error', { detail: reason }));
 
-        // Cleanup Lyria session if it exists
+        // Cleanup Lyria session if it exists (its late callbacks are ignored)
+        this.connectionId++;
         if (this.session) {
             try { this.session.stop(); } catch { }
-            this.session = null;
-            this.sessionPromise = null;
+            try { this.session.close(); } catch { }
         }
+        this.session = null;
+        this.sessionPromise = null;
         this.nextStartTime = 0;
+        this.jitterBuffer.clearTiming();
 
-        // Reset output node to clear any stuck audio
-        try {
-            this.outputNode.disconnect();
-        } catch { }
-        if (this.audioContext) {
-            this.outputNode = this.audioContext.createGain();
-            this.outputNode.connect(this.audioContext.destination);
-        }
-
-        // Start fallback if we were playing or loading
-        if (this.playbackState === 'playing' || this.playbackState === 'loading') {
-            console.log('🎹 [Fallback] Starting fallback synth playback');
-            fallbackService.setWeightedPrompts(this.prompts);
-            fallbackService.play();
-            this.setPlaybackState('playing');
-        } else {
-            this.setPlaybackState('stopped');
-        }
+        // Audio already buffered keeps playing so the router can crossfade out of it;
+        // the router's stop() (or the next play()) clears whatever is left
+        this.stopWatchdog();
+        this.dispatchEvent(new CustomEvent('engine-failed', { detail: { reason, wasPlaying } }));
+        this.cancelPendingReset();
+        this.setPlaybackState('stopped');
     }
 
     /**
@@ -353,23 +620,31 @@ Now enhance: "${basePrompt}"`
     async reconnect() {
         console.log('🔄 [Lyria] Reconnecting...');
         const wasPlaying = this.playbackState === 'playing';
+        const epoch = this.reconnectEpoch;
         this.sessionPromise = null;
         this.session = null;
         this.connectionError = false;
-
-        // Stop fallback if active
-        if (this.fallbackService && this.activeEngine === 'fallback') {
-            this.fallbackService.stop();
-        }
+        this.jitterBuffer.clearTiming(); // Connection time isn't network jitter
 
         try {
             // Wait for new connection
             await this.connect();
 
-            // Re-send current prompts
+            // Retries were abandoned while connecting: drop the late session
+            if (epoch !== this.reconnectEpoch) {
+                const late = await this.sessionPromise;
+                this.connectionId++;
+                try { late.close(); } catch { }
+                this.sessionPromise = null;
+                return false;
+            }
+
+            // Re-send current prompts and the full config on the new session
+            this.session = await this.getSession();
             if (this.prompts) {
                 await this.setWeightedPrompts(this.prompts);
             }
+            await this.sendFullConfig();
 
             // Direct resume if we were playing (skip full play() to avoid state thrashing)
             if (wasPlaying && this.session) {
@@ -377,6 +652,7 @@ Now enhance: "${basePrompt}"`
                 this.session = await this.getSession();
                 await this.session.play();
                 this.setPlaybackState('playing'); // Ensure state is correct
+                this.startWatchdog();
             }
 
             return true;
@@ -392,57 +668,151 @@ Now enhance: "${basePrompt}"`
     async processAudioChunks(audioChunks) {
         if (this.playbackState === 'paused' || this.playbackState === 'stopped') return;
 
-        for (const chunk of audioChunks) {
-            if (!chunk.data) continue;
+        // First audio after a context reset: clear the "applying" state once it is audible
+        if (this.awaitingResetAudio) {
+            this.awaitingResetAudio = false;
+            setTimeout(() => {
+                if (!this.resetTimer && !this.resetInFlight) this.setApplyingReset(false);
+            }, this.jitterBuffer.targetLatency * 1000);
+        }
+
+        const now = this.audioContext.currentTime;
+        let decoded;
+        try {
+            decoded = await Promise.all(
+                audioChunks.filter(chunk => chunk.data).map(chunk => this.decoder.decode(chunk.data))
+            );
+        } catch (error) {
+            console.error('❌ [Lyria] Failed to decode audio:', error);
+            return;
+        }
+        // Paused or stopped while the worker was decoding
+        if (!decoded.length || this.playbackState === 'paused' || this.playbackState === 'stopped') return;
 
-            const audioBuffer = await this.decodeAudioData(chunk.data);
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(this.outputNode);
+        if (this.isStalled) this.setStalled(false);
 
-            if (this.nextStartTime === 0) {
-                this.nextStartTime = this.audioContext.currentTime + this.bufferTime;
-                setTimeout(() => {
-                    if (this.playbackState === 'loading') {
-                        this.setPlaybackState('playing');
-                    }
-                }, this.bufferTime * 1000);
-            }
+        // One message is one arrival, however many chunks it carries
+        const frames = decoded.reduce((sum, { left }) => sum + left.length, 0);
+        this.jitterBuffer.onArrival(now, frames / SAMPLE_RATE);
 
-            // Reset if we've fallen behind
-            if (this.nextStartTime < this.audioContext.currentTime - 0.1) {
-                this.nextStartTime = this.audioContext.currentTime;
+        let bufferedAhead;
+        if (this.player) {
+            // Underruns are reported by the worklet; here we only spot chunks cutting it close
+            if (this.player.isPlaying) {
+                this.jitterBuffer.classify(now, now + this.player.getBufferedSeconds());
             }
+            this.player.setLatency(this.jitterBuffer.targetLatency);
+            decoded.forEach(({ left, right }) => this.player.write(left, right));
+            bufferedAhead = this.player.getBufferedSeconds();
+        } else {
+            this.scheduleSources(decoded, now);
+            bufferedAhead = this.nextStartTime - now;
+        }
 
+        this.lastChunkAt = now;
+        this.bufferedAtLastChunk = bufferedAhead;
+        this.emitBufferStats(bufferedAhead);
+    }
+
+    /**
+     * Without AudioWorklet: one AudioBufferSourceNode per chunk, scheduled back to back
+     */
+    scheduleSources(decoded, now) {
+        const target = this.jitterBuffer.targetLatency;
+        if (this.nextStartTime === 0) {
+            this.nextStartTime = now + target;
+            this.scheduledLatency = target;
+            setTimeout(() => {
+                if (this.playbackState === 'loading') {
+                    this.setPlaybackState('playing');
+                }
+            }, target * 1000);
+        } else if (this.jitterBuffer.classify(now, this.nextStartTime) === 'underrun') {
+            // Ran dry: re-anchor with the (now larger) target so the cushion is rebuilt
+            console.warn(`⚠️ [Buffer] Underrun, re-buffering ${this.jitterBuffer.targetLatency.toFixed(2)}s`);
+            this.nextStartTime = now + this.jitterBuffer.targetLatency;
+            this.scheduledLatency = this.jitterBuffer.targetLatency;
+        } else if (target - this.scheduledLatency >= MIN_PADDING) {
+            // Target rose while playing: pad the schedule now instead of waiting for a dropout
+            this.nextStartTime += target - this.scheduledLatency;
+            this.scheduledLatency = target;
+        }
+
+        for (const { left, right } of decoded) {
+            const audioBuffer = this.audioContext.createBuffer(2, left.length, SAMPLE_RATE);
+            audioBuffer.copyToChannel(left, 0);
+            audioBuffer.copyToChannel(right, 1);
+
+            const source = this.audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(this.outputNode);
             source.start(this.nextStartTime);
             this.nextStartTime += audioBuffer.duration;
         }
     }
 
     /**
-     * Decode base64 audio data to AudioBuffer
+     * The worklet ran dry: raise the target and re-buffer with it
      */
-    async decodeAudioData(base64Data) {
-        const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
+    handlePlayerUnderrun() {
+        if (this.playbackState !== 'playing') return;
+
+        const now = this.audioContext.currentTime;
+        this.jitterBuffer.recordUnderrun(now);
+        this.player.setLatency(this.jitterBuffer.targetLatency);
+        console.warn(`⚠️ [Buffer] Underrun, re-buffering ${this.jitterBuffer.targetLatency.toFixed(2)}s`);
+        this.emitBufferStats(0);
+    }
 
-        // 16-bit PCM stereo at 44100Hz per Google documentation
-        const samples = bytes.length / 4; // 2 bytes per sample, 2 channels
-        const audioBuffer = this.audioContext.createBuffer(2, samples, 44100);
+    /**
+     * Watch for a session that stays open but stops sending audio
+     */
+    startWatchdog() {
+        this.stopWatchdog();
+        this.lastChunkAt = this.audioContext.currentTime;
+        this.bufferedAtLastChunk = 0;
+        this.watchdogTimer = setInterval(() => this.checkForStall(), WATCHDOG_MS);
+    }
+
+    stopWatchdog() {
+        if (this.watchdogTimer) clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+        if (this.isStalled) this.setStalled(false);
+    }
 
-        const leftChannel = audioBuffer.getChannelData(0);
-        const rightChannel = audioBuffer.getChannelData(1);
+    checkForStall() {
+        const now = this.audioContext.currentTime;
 
-        const dataView = new DataView(bytes.buffer);
-        for (let i = 0; i < samples; i++) {
-            leftChannel[i] = dataView.getInt16(i * 4, true) / 32768;
-            rightChannel[i] = dataView.getInt16(i * 4 + 2, true) / 32768;
+        // Between sessions (reconnecting) there is nothing to wait for yet
+        if (!this.session || this.isReconnecting) {
+            this.lastChunkAt = now;
+            this.bufferedAtLastChunk = 0;
+            return;
         }
 
-        return audioBuffer;
+        const silentFor = now - this.lastChunkAt;
+        if (silentFor - this.bufferedAtLastChunk < this.stallGap) return;
+
+        console.warn(`⚠️ [Watchdog] No audio for ${silentFor.toFixed(1)}s with the socket open, treating as stalled`);
+        this.setStalled(true, silentFor);
+
+        // Abandon the silent socket
+        this.closeSession();
+
+        this.handleConnectionFailure(`Stalled: no audio for ${Math.round(silentFor)}s`);
+    }
+
+    setStalled(isStalled, silentFor = 0) {
+        this.isStalled = isStalled;
+        this.dispatchEvent(new CustomEvent('stalled', {
+            detail: { isStalled, silentFor }
+        }));
+    }
+
+    emitBufferStats(bufferedAhead) {
+        this.dispatchEvent(new CustomEvent('buffer-stats', {
+            detail: this.jitterBuffer.getStats(bufferedAhead),
+        }));
     }
 
     /**
@@ -455,15 +825,12 @@ Now enhance: "${basePrompt}"`
 
     /**
      * Set weighted prompts for music generation
+     * @param {{ transient?: boolean }} options - transient: intermediate morph step, not marked in recordings
      */
-    async setWeightedPrompts(prompts) {
+    async setWeightedPrompts(prompts, { transient = false } = {}) {
         this.prompts = prompts;
         console.log('🎶 [Prompts] Setting weighted prompts:', prompts);
-
-        if (this.useFallback) {
-            console.log('🎹 [Fallback] Forwarding prompts to fallback service');
-            return fallbackService.setWeightedPrompts(prompts);
-        }
+        if (!transient) recorderService.addMarker('prompts', prompts);
 
         const activePrompts = prompts.filter(p =>
             !this.filteredPrompts.has(p.text) && p.weight > 0
@@ -500,41 +867,192 @@ Now enhance: "${basePrompt}"`
 
     /**
      * Set tempo (BPM)
+     * Lyria only picks up a new BPM after a context reset, so rapid changes
+     * are debounced into a single config send + reset once the knob settles
      */
     setTempo(bpm) {
         console.log('🎚️ [Tempo] Setting tempo to:', bpm, 'BPM');
-        if (this.useFallback) {
-            console.log('🎹 [Fallback] Updating fallback synth tempo');
-            fallbackService.setTempo(bpm);
+        this.setMusicConfig({ bpm });
+    }
+
+    /**
+     * Current value of the authoritative music config
+     */
+    getMusicConfig() {
+        return { ...this.musicConfig };
+    }
+
+    getAudioContext() {
+        return this.audioContext;
+    }
+
+    /**
+     * Queue reset-only config keys and schedule a debounced context reset
+     */
+    queueContextReset(keys) {
+        keys.forEach(key => {
+            this.pendingResetKeys.add(key);
+            this.applyingResetKeys.add(key);
+        });
+
+        if (this.resetTimer) clearTimeout(this.resetTimer);
+        this.resetTimer = null;
+
+        if (!this.session || this.playbackState !== 'playing') {
+            console.log('⏳ [Reset] Not playing, will be applied on play:', keys);
+            this.pendingResetKeys.clear();
+            this.setApplyingReset(false);
+            return;
+        }
+
+        this.setApplyingReset(true);
+        this.resetTimer = setTimeout(() => this.applyContextReset(), RESET_SETTLE_MS);
+    }
+
+    /**
+     * Send the full config and reset the Lyria context so pending reset-only keys take effect
+     */
+    async applyContextReset() {
+        this.resetTimer = null;
+
+        // A reset is already on its way; its loop picks up newer values
+        if (this.resetInFlight) return;
+
+        while (this.pendingResetKeys.size && this.session && this.playbackState === 'playing') {
+            const applied = {};
+            this.pendingResetKeys.forEach(key => { applied[key] = this.musicConfig[key]; });
+            this.pendingResetKeys.clear();
+
+            this.resetInFlight = true;
+            try {
+                console.log('🔁 [Reset] Applying via context reset:', applied);
+                await this.sendFullConfig();
+                this.session.resetContext();
+                this.awaitingResetAudio = true;
+                recorderService.addMarker('config', applied);
+            } catch (error) {
+                console.error('❌ [Reset] Failed to apply context reset:', error);
+                this.awaitingResetAudio = false;
+            } finally {
+                this.resetInFlight = false;
+            }
+
+            // Control moved again while the reset was in flight: wait for it to settle
+            if (this.resetTimer) return;
         }
-        // Note: BPM requires stop/play or reset_context for Lyria
+
+        if (!this.awaitingResetAudio) this.setApplyingReset(false);
+    }
+
+    /**
+     * Update and emit the "applying context reset" state
+     */
+    setApplyingReset(isApplying) {
+        const keys = [...this.applyingResetKeys];
+        if (!isApplying) this.applyingResetKeys.clear();
+        this.dispatchEvent(new CustomEvent('context-reset-state', {
+            detail: { isApplying, keys }
+        }));
+    }
+
+    /**
+     * Drop a debounced context reset (the next play sends the full config anyway)
+     */
+    cancelPendingReset() {
+        if (this.resetTimer) clearTimeout(this.resetTimer);
+        this.resetTimer = null;
+        this.pendingResetKeys.clear();
+        this.awaitingResetAudio = false;
+        this.setApplyingReset(false);
     }
 
     /**
      * Set music generation configuration (guidance, density, brightness, etc.)
-     * These parameters update in real-time for Lyria API
+     * Partial updates are merged into the authoritative config; unchanged values
+     * are skipped and bursts coalesce into one full-config send per interval.
+     * RESET_KEYS fields (bpm, scale) go through a debounced context reset instead.
+     * A null value removes the key, so the next full send leaves it unset.
      */
     async setMusicConfig(config) {
-        console.log('🎛️ [Config] Setting music generation config:', config);
+        const changes = {};
+        Object.entries(config).forEach(([key, value]) => {
+            if (value === undefined) return;
+            // null unsets a key (e.g. seed back to random); only a change if it was set
+            if (value === null ? key in this.musicConfig : this.musicConfig[key] !== value) changes[key] = value;
+        });
 
-        if (this.useFallback) {
-            fallbackService.setParameters(config);
-            return;
+        const changedKeys = Object.keys(changes);
+        if (!changedKeys.length) return;
+
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) delete this.musicConfig[key];
+            else this.musicConfig[key] = value;
+        });
+        console.log('🎛️ [Config] Music generation config changed:', changes);
+
+        const resetKeys = changedKeys.filter(key => RESET_KEYS.includes(key));
+        if (resetKeys.length) {
+            this.queueContextReset(resetKeys);
+        }
+
+        // Reset keys are marked when the reset is actually applied
+        if (resetKeys.length < changedKeys.length) {
+            const liveChanges = { ...changes };
+            resetKeys.forEach(key => delete liveChanges[key]);
+            recorderService.addMarker('config', liveChanges);
+            this.scheduleConfigFlush();
         }
+    }
+
+    /**
+     * Schedule a coalesced send of the full config
+     */
+    scheduleConfigFlush() {
+        if (this.configFlushTimer) return;
+        this.configFlushTimer = setTimeout(() => {
+            this.configFlushTimer = null;
+            this.flushConfig();
+        }, CONFIG_FLUSH_MS);
+    }
 
+    /**
+     * Send the full config now, or mark it dirty if a send is already in flight
+     */
+    async flushConfig() {
         if (!this.session) {
             console.log('⏳ [Config] No active Lyria session, config will be applied on play');
             return;
         }
 
+        if (this.configSendInFlight) {
+            this.configDirty = true;
+            return;
+        }
+
+        this.configSendInFlight = true;
         try {
-            await this.session.setMusicGenerationConfig({
-                musicGenerationConfig: config
-            });
+            await this.sendFullConfig();
             console.log('✅ [Lyria] Config updated successfully');
         } catch (error) {
             console.error('❌ [Lyria] Failed to set config:', error);
+        } finally {
+            this.configSendInFlight = false;
         }
+
+        if (this.configDirty) {
+            this.configDirty = false;
+            this.scheduleConfigFlush();
+        }
+    }
+
+    /**
+     * Send the whole authoritative config to the session
+     */
+    async sendFullConfig() {
+        if (!this.session || !Object.keys(this.musicConfig).length) return;
+        await this.session.setMusicGenerationConfig({
+            musicGenerationConfig: { ...this.musicConfig }
+        });
     }
 
     /**
@@ -544,11 +1062,6 @@ Now enhance: "${basePrompt}"`
         console.log('▶️ [Play] Starting playback...');
         await this.ensureAudioContext();
 
-        if (this.useFallback) {
-            console.log('🎹 [Fallback] Using fallback synth');
-            return fallbackService.play();
-        }
-
         try {
             this.setPlaybackState('loading');
             console.log('🔗 [Lyria] Getting session...');
@@ -558,6 +1071,9 @@ Now enhance: "${basePrompt}"`
                 await this.audioContext.resume();
             }
 
+            // Start from an empty ring (drops anything a pending pause-clear would have)
+            this.player?.clear({ latency: this.jitterBuffer.targetLatency });
+
             // Set prompts before playing
             if (this.prompts && this.prompts.length > 0) {
                 console.log('📤 [Lyria] Sending initial prompts:', this.prompts);
@@ -569,13 +1085,19 @@ Now enhance: "${basePrompt}"`
                 });
             }
 
+            // Fresh session context: the full config (incl. BPM/scale) applies without a reset
+            console.log('📤 [Lyria] Sending initial config:', this.musicConfig);
+            await this.sendFullConfig();
+
             console.log('🎵 [Lyria] Calling session.play()...');
             await this.session.play();
             console.log('✅ [Lyria] Playback started!');
 
-            this.outputNode.connect(this.audioContext.destination);
+            this.outputNode.connect(this.analyser);
+            this.player?.connect(this.outputNode);
             this.outputNode.gain.setValueAtTime(0, this.audioContext.currentTime);
             this.outputNode.gain.linearRampToValueAtTime(1, this.audioContext.currentTime + 0.1);
+            this.startWatchdog();
         } catch (error) {
             console.error('❌ [Lyria] Failed to start playback:', error);
             this.dispatchEvent(new CustomEvent('error', {
@@ -589,15 +1111,15 @@ Now enhance: "${basePrompt}"`
      * Pause playback
      */
     pause() {
-        if (this.useFallback) {
-            return fallbackService.pause();
-        }
-
         if (this.session) this.session.pause();
+        this.stopWatchdog();
+        this.cancelPendingReset();
         this.setPlaybackState('paused');
         this.outputNode.gain.setValueAtTime(1, this.audioContext.currentTime);
         this.outputNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.1);
         this.nextStartTime = 0;
+        this.jitterBuffer.clearTiming();
+        this.player?.clear({ at: this.audioContext.currentTime + 0.1 }); // After the fade-out
         this.outputNode = this.audioContext.createGain();
     }
 
@@ -605,13 +1127,20 @@ Now enhance: "${basePrompt}"`
      * Stop playback completely
      */
     stop() {
-        if (this.useFallback) {
-            return fallbackService.stop();
-        }
-
         if (this.session) this.session.stop();
+        this.stopWatchdog();
+        if (this.retryCount) {
+            // Stopped by the user (or the router) mid-retry: abandon the retries
+            this.reconnectEpoch++;
+            this.clearPendingReconnect();
+            this.isReconnecting = false;
+            this.retryCount = 0;
+        }
+        this.cancelPendingReset();
         this.setPlaybackState('stopped');
         this.nextStartTime = 0;
+        this.jitterBuffer.reset();
+        this.player?.clear({ latency: this.jitterBuffer.targetLatency });
         this.session = null;
         this.sessionPromise = null;
 
@@ -628,10 +1157,6 @@ Now enhance: "${basePrompt}"`
      * Toggle play/pause
      */
     async playPause() {
-        if (this.useFallback) {
-            return fallbackService.playPause();
-        }
-
         switch (this.playbackState) {
             case 'playing':
                 return this.pause();
@@ -647,10 +1172,7 @@ Now enhance: "${basePrompt}"`
      * Cleanup
      */
     destroy() {
-        this.stop();
-        if (this.audioContext) {
-            this.audioContext.close();
-        }
+        this.stop(); // The AudioContext belongs to AudioGraph
     }
 }
 
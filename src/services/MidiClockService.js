@@ -0,0 +1,121 @@
+/**
+ * MidiClockService.js - 24 ppqn MIDI clock + start/stop on a Web MIDI output
+ * Ticks are scheduled against AudioContext time with a short lookahead
+ * (the timer only wakes the scheduler), then converted to performance
+ * timestamps for MIDIOutput.send so the clock doesn't drift
+ */
+
+const PPQN = 24;
+const LOOKAHEAD_SEC = 0.1;      // Schedule this far ahead of the audio clock
+const SCHEDULER_MS = 25;        // How often the scheduler wakes up
+
+const CLOCK = 0xF8;
+const START = 0xFA;
+const STOP = 0xFC;
+
+class MidiClockService extends EventTarget {
+    constructor() {
+        super();
+        this.output = null;
+        this.audioContext = null;
+        this.bpm = 90;
+        this.isRunning = false;
+        this.nextTickTime = 0;
+        this.schedulerTimer = null;
+    }
+
+    /**
+     * Choose the output port (null disables clock output)
+     */
+    setOutput(output) {
+        if (output === this.output) return;
+        if (this.isRunning && this.output && this.output !== output) {
+            this.output.send([STOP]);
+        }
+        this.output = output;
+        console.log('⏱️ [MIDI Clock] Output:', output ? output.name : 'none');
+
+        // Joining mid-playback: send start on the new port
+        if (this.isRunning && output) {
+            this.isRunning = false;
+            this.start(this.audioContext);
+        }
+    }
+
+    setBpm(bpm) {
+        this.bpm = bpm;
+    }
+
+    /**
+     * Send start and begin ticking on the given AudioContext's clock
+     */
+    start(audioContext) {
+        if (this.isRunning || !audioContext) return;
+        this.audioContext = audioContext;
+        this.isRunning = true;
+        if (!this.output) return;
+
+        this.nextTickTime = audioContext.currentTime + LOOKAHEAD_SEC;
+        this.output.send([START], this.toPerformanceTime(this.nextTickTime));
+        console.log('▶️ [MIDI Clock] Start at', this.bpm, 'BPM');
+
+        this.schedule();
+        clearInterval(this.schedulerTimer); // Restarted on a new port: one timer only
+        this.schedulerTimer = setInterval(() => this.schedule(), SCHEDULER_MS);
+    }
+
+    /**
+     * Send stop and halt ticking
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearInterval(this.schedulerTimer);
+        this.schedulerTimer = null;
+
+        if (this.output) {
+            this.output.send([STOP]);
+            console.log('⏹️ [MIDI Clock] Stop');
+        }
+    }
+
+    /**
+     * Queue every tick that falls inside the lookahead window
+     */
+    schedule() {
+        if (!this.output || !this.audioContext) return;
+
+        const horizon = this.audioContext.currentTime + LOOKAHEAD_SEC;
+        const tickDuration = 60 / (this.bpm * PPQN);
+
+        // Fell behind (tab throttled): skip ahead rather than bursting ticks
+        if (this.nextTickTime < this.audioContext.currentTime) {
+            this.nextTickTime = this.audioContext.currentTime;
+        }
+
+        while (this.nextTickTime < horizon) {
+            this.output.send([CLOCK], this.toPerformanceTime(this.nextTickTime));
+            this.nextTickTime += tickDuration;
+        }
+    }
+
+    /**
+     * Convert AudioContext time (s) to a performance.now() timestamp (ms)
+     */
+    toPerformanceTime(contextTime) {
+        const ctx = this.audioContext;
+        if (ctx.getOutputTimestamp) {
+            const stamp = ctx.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.performanceTime + (contextTime - stamp.contextTime) * 1000;
+            }
+        }
+        return performance.now() + (contextTime - ctx.currentTime) * 1000;
+    }
+}
+
+// Singleton instance
+const midiClockService = new MidiClockService();
+
+export default midiClockService;
+export { MidiClockService };
@@ -0,0 +1,255 @@
+/**
+ * MidiService.js - Web MIDI input with MIDI-learn and soft takeover
+ * Continuous targets (knobs, volume) bind to a CC, trigger targets
+ * (play/pause, presets) bind to a note. Mappings persist in localStorage.
+ * Outputs are listed for MidiClockService to send clock on.
+ */
+
+const STORAGE_KEY = 'lyria-midi-mappings';
+
+// Soft takeover: a CC "picks up" a target once it gets this close (fraction of range)
+const PICKUP_THRESHOLD = 0.03;
+
+class MidiService extends EventTarget {
+    constructor() {
+        super();
+        this.access = null;
+        this.isSupported = typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+        this.targets = new Map();       // id -> { id, label, kind: 'cc'|'note', min, max, step }
+        this.values = new Map();        // id -> current app value
+        this.pickedUp = new Set();      // cc targets currently following the controller
+        this.lastIncoming = new Map();  // id -> last scaled CC value (crossing detection)
+        this.lastSent = new Map();      // id -> last value we emitted
+        this.learnTarget = null;
+        this.mappings = this.loadMappings(); // id -> { type: 'cc'|'note', channel, number }
+    }
+
+    /**
+     * Request MIDI access (or use a provided/mock MIDIAccess) and listen to all inputs
+     * @param {MIDIAccess} [access] - Inject a MIDIAccess (e.g. MockMIDIAccess) instead of the browser's
+     */
+    async init(access = null) {
+        if (this.access) return true;
+
+        try {
+            if (!access) {
+                if (!this.isSupported) {
+                    console.warn('🎹 [MIDI] Web MIDI not supported in this browser');
+                    return false;
+                }
+                access = await navigator.requestMIDIAccess();
+            }
+        } catch (error) {
+            console.error('❌ [MIDI] Access denied:', error);
+            this.dispatchEvent(new CustomEvent('error', { detail: 'MIDI access denied' }));
+            return false;
+        }
+
+        this.access = access;
+        this.attachInputs();
+        this.access.onstatechange = () => {
+            this.attachInputs();
+            this.emitState();
+        };
+
+        console.log('🎹 [MIDI] Ready with', this.access.inputs.size, 'input(s),', this.access.outputs.size, 'output(s)');
+        this.emitState();
+        return true;
+    }
+
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (e) => this.handleMessage(e.data);
+        });
+    }
+
+    /**
+     * Names of connected inputs
+     */
+    getInputNames() {
+        if (!this.access) return [];
+        return [...this.access.inputs.values()].map(input => input.name);
+    }
+
+    /**
+     * Connected outputs as { id, name }
+     */
+    getOutputs() {
+        if (!this.access) return [];
+        return [...this.access.outputs.values()]
+            .filter(output => output.state !== 'disconnected')
+            .map(output => ({ id: output.id, name: output.name }));
+    }
+
+    /**
+     * Look up a connected output port by id
+     */
+    getOutput(id) {
+        const output = this.access?.outputs.get(id);
+        return output && output.state !== 'disconnected' ? output : null;
+    }
+
+    /**
+     * Declare a bindable target
+     */
+    registerTarget(target) {
+        this.targets.set(target.id, target);
+    }
+
+    unregisterTarget(id) {
+        this.targets.delete(id);
+    }
+
+    /**
+     * Report the app-side value of a cc target. A change that did not come
+     * from MIDI drops the pickup, so the controller must catch up again.
+     */
+    updateValue(id, value) {
+        if (this.values.get(id) === value) return;
+        this.values.set(id, value);
+        if (this.lastSent.get(id) !== value) {
+            this.pickedUp.delete(id);
+        }
+    }
+
+    /**
+     * Arm MIDI-learn: the next matching message binds to this target
+     */
+    startLearn(id) {
+        this.learnTarget = id;
+        console.log('🎓 [MIDI] Learning for', id);
+        this.emitState();
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+        this.emitState();
+    }
+
+    clearMapping(id) {
+        delete this.mappings[id];
+        this.pickedUp.delete(id);
+        this.saveMappings();
+        this.emitState();
+    }
+
+    /**
+     * Human-readable binding ("CC 21 · ch 1", "Note 60 · ch 10")
+     */
+    describeMapping(id) {
+        const m = this.mappings[id];
+        if (!m) return null;
+        return `${m.type === 'cc' ? 'CC' : 'Note'} ${m.number} · ch ${m.channel + 1}`;
+    }
+
+    /**
+     * Parse a raw MIDI message
+     */
+    handleMessage(data) {
+        const [status, number, velocity = 0] = data;
+        const type = status & 0xF0;
+        const channel = status & 0x0F;
+
+        if (type === 0xB0) {
+            this.handleControl(channel, number, velocity);
+        } else if (type === 0x90 && velocity > 0) {
+            this.handleNote(channel, number);
+        }
+    }
+
+    handleControl(channel, number, raw) {
+        if (this.learnTarget && this.targets.get(this.learnTarget)?.kind === 'cc') {
+            this.bind(this.learnTarget, { type: 'cc', channel, number });
+            return;
+        }
+
+        const id = this.findMapping('cc', channel, number);
+        const target = id && this.targets.get(id);
+        if (!target) return;
+
+        // Scale 0-127 into the target's range, snapped to its step
+        let value = target.min + (raw / 127) * (target.max - target.min);
+        value = Math.round(value / target.step) * target.step;
+        value = Math.max(target.min, Math.min(target.max, value));
+
+        if (!this.pickedUp.has(id)) {
+            const current = this.values.has(id) ? this.values.get(id) : value;
+            const previous = this.lastIncoming.get(id);
+            const close = Math.abs(value - current) <= (target.max - target.min) * PICKUP_THRESHOLD;
+            const crossed = previous !== undefined && (previous - current) * (value - current) <= 0;
+            this.lastIncoming.set(id, value);
+            if (!close && !crossed) return;
+            this.pickedUp.add(id);
+        }
+
+        this.lastIncoming.set(id, value);
+        this.lastSent.set(id, value);
+        this.values.set(id, value);
+        this.dispatchEvent(new CustomEvent('midi-control', { detail: { id, value } }));
+    }
+
+    handleNote(channel, number) {
+        if (this.learnTarget && this.targets.get(this.learnTarget)?.kind === 'note') {
+            this.bind(this.learnTarget, { type: 'note', channel, number });
+            return;
+        }
+
+        const id = this.findMapping('note', channel, number);
+        if (!id || !this.targets.has(id)) return;
+        this.dispatchEvent(new CustomEvent('midi-trigger', { detail: { id } }));
+    }
+
+    findMapping(type, channel, number) {
+        return Object.keys(this.mappings).find(id => {
+            const m = this.mappings[id];
+            return m.type === type && m.channel === channel && m.number === number;
+        });
+    }
+
+    /**
+     * Bind a message to a target; a message can only drive one target
+     */
+    bind(id, mapping) {
+        const existing = this.findMapping(mapping.type, mapping.channel, mapping.number);
+        if (existing) delete this.mappings[existing];
+
+        this.mappings[id] = mapping;
+        this.pickedUp.delete(id);
+        this.lastIncoming.delete(id);
+        this.learnTarget = null;
+        this.saveMappings();
+        console.log('✅ [MIDI] Bound', id, 'to', this.describeMapping(id));
+        this.emitState();
+    }
+
+    loadMappings() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    saveMappings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.mappings));
+    }
+
+    emitState() {
+        this.dispatchEvent(new CustomEvent('midi-state', {
+            detail: {
+                isReady: !!this.access,
+                inputs: this.getInputNames(),
+                outputs: this.getOutputs(),
+                learnTarget: this.learnTarget,
+                mappings: { ...this.mappings },
+            }
+        }));
+    }
+}
+
+// Singleton instance
+const midiService = new MidiService();
+
+export default midiService;
+export { MidiService };
@@ -0,0 +1,131 @@
+/**
+ * PromptMorphService.js - Gradual crossfade between two weighted prompt sets
+ * Interpolates weights over a duration and pushes intermediate prompt lists
+ * to LiveMusicService on a steady cadence
+ */
+import engineRouter from './EngineRouter';
+import recorderService from './RecorderService';
+
+// How often intermediate prompts are sent to the session
+const STEP_INTERVAL_MS = 500;
+
+// Easing curves: map linear progress (0-1) to blend amount (0-1)
+const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - (1 - t) * (1 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    equalPower: (t) => Math.sin(t * Math.PI / 2),
+};
+
+/**
+ * Blend two prompt lists by text. Prompts only in `from` fade out,
+ * prompts only in `to` fade in, shared prompts move between weights.
+ */
+function blendPrompts(from, to, amount) {
+    const weights = new Map();
+    from.forEach(p => weights.set(p.text, { from: p.weight, to: 0 }));
+    to.forEach(p => {
+        const entry = weights.get(p.text) || { from: 0, to: 0 };
+        entry.to = p.weight;
+        weights.set(p.text, entry);
+    });
+
+    return [...weights.entries()].map(([text, w]) => ({
+        text,
+        weight: Math.round((w.from + (w.to - w.from) * amount) * 100) / 100,
+    }));
+}
+
+class PromptMorphService extends EventTarget {
+    constructor() {
+        super();
+        this.timer = null;
+        this.from = [];
+        this.to = [];
+        this.current = null;
+        this.progress = 0;
+    }
+
+    get isMorphing() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Morph from the currently playing prompts to `targetPrompts`
+     * @param {Array<{text: string, weight: number}>} targetPrompts
+     * @param {{ duration?: number, easing?: string, label?: string }} options - duration in seconds
+     */
+    start(targetPrompts, { duration = 16, easing = 'easeInOut', label = '' } = {}) {
+        // Starting mid-morph continues from wherever the blend currently is
+        const from = this.current || engineRouter.prompts || [];
+        this.cancel();
+
+        const ease = EASINGS[easing] || EASINGS.linear;
+        const durationMs = Math.max(1, duration) * 1000;
+        const startTime = performance.now();
+
+        this.from = from;
+        this.to = targetPrompts;
+        this.current = from;
+        console.log(`🌗 [Morph] Morphing prompts over ${duration}s (${easing})`);
+        recorderService.addMarker('morph', { label, duration, easing, prompts: targetPrompts });
+
+        const step = () => {
+            const t = Math.min(1, (performance.now() - startTime) / durationMs);
+
+            if (t >= 1) {
+                this.finish();
+                return;
+            }
+
+            this.current = blendPrompts(this.from, this.to, ease(t));
+            this.setProgress(t);
+            engineRouter.setWeightedPrompts(this.current, { transient: true });
+        };
+
+        this.timer = setInterval(step, STEP_INTERVAL_MS);
+        this.setProgress(0);
+        step();
+    }
+
+    /**
+     * Jump straight to the target prompts and end the morph
+     */
+    finish() {
+        if (!this.isMorphing) return;
+        const target = this.to;
+        this.stopTimer();
+        this.setProgress(1);
+        console.log('✅ [Morph] Morph complete');
+        engineRouter.setWeightedPrompts(target);
+        this.dispatchEvent(new CustomEvent('morph-complete', { detail: target }));
+    }
+
+    /**
+     * Abort the morph, leaving the last intermediate prompts in place
+     */
+    cancel() {
+        if (!this.isMorphing) return;
+        this.stopTimer();
+        console.log('⏹️ [Morph] Morph cancelled');
+        this.setProgress(null);
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.current = null;
+    }
+
+    setProgress(progress) {
+        this.progress = progress;
+        this.dispatchEvent(new CustomEvent('morph-progress', { detail: progress }));
+    }
+}
+
+// Singleton instance
+const promptMorphService = new PromptMorphService();
+
+export default promptMorphService;
+export { PromptMorphService, EASINGS, blendPrompts };
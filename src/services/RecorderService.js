@@ -0,0 +1,313 @@
+/**
+ * RecorderService.js - Captures engine output PCM and exports it as WAV
+ * The router feeds the master bus mix here while playing; prompt/config changes
+ * made while recording become timestamped cue markers.
+ * An always-on ring buffer keeps the last few minutes for retro capture.
+ */
+import { encodeWav, downloadBlob } from '../utils/wavEncoder';
+
+const SAMPLE_RATE = 44100;
+
+// Config markers closer together than this are merged (knob drags)
+const MARKER_MERGE_WINDOW = 0.5;
+
+// Retro capture window bounds (minutes)
+const MIN_RETRO_MINUTES = 1;
+const MAX_RETRO_MINUTES = 5;
+const DEFAULT_RETRO_MINUTES = 3;
+
+class RecorderService extends EventTarget {
+    constructor() {
+        super();
+        this.sampleRate = SAMPLE_RATE;
+        this.isRecording = false;
+        this.leftChunks = [];
+        this.rightChunks = [];
+        this.frameCount = 0;
+        this.markers = [];
+        this.lastProgressSecond = 0;
+
+        // Retro capture ring buffer (16-bit to halve memory; allocated on first audio)
+        this.retroMinutes = DEFAULT_RETRO_MINUTES;
+        this.ringLeft = null;
+        this.ringRight = null;
+        this.ringWrite = 0;
+        this.ringFilled = 0;
+        this.totalFrames = 0;   // Frames ever captured; positions recent markers
+        this.recentMarkers = [];
+    }
+
+    /**
+     * Current recording length in seconds
+     */
+    getDuration() {
+        return this.frameCount / this.sampleRate;
+    }
+
+    /**
+     * Arm recording and discard any previous take
+     */
+    start() {
+        if (this.isRecording) return;
+
+        this.leftChunks = [];
+        this.rightChunks = [];
+        this.frameCount = 0;
+        this.markers = [];
+        this.lastProgressSecond = 0;
+        this.isRecording = true;
+
+        console.log('⏺️ [Recorder] Recording started');
+        this.dispatchEvent(new CustomEvent('recording-state-changed', {
+            detail: { isRecording: true, duration: 0 }
+        }));
+    }
+
+    /**
+     * Stop recording and return the take ({ blob, markers, duration })
+     */
+    stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        const duration = this.getDuration();
+        console.log(`⏹️ [Recorder] Recording stopped (${duration.toFixed(1)}s, ${this.markers.length} markers)`);
+
+        const { left, right } = this.flatten();
+        const blob = this.encode(left, right, this.markers);
+
+        this.dispatchEvent(new CustomEvent('recording-state-changed', {
+            detail: { isRecording: false, duration }
+        }));
+
+        return { blob, markers: this.markers, duration };
+    }
+
+    /**
+     * Stop recording and download the WAV plus a JSON marker sidecar
+     */
+    stopAndDownload() {
+        const take = this.stop();
+        if (!take) return;
+        this.download(take, 'promptdj');
+    }
+
+    /**
+     * Retro capture window length in minutes
+     */
+    getRetroMinutes() {
+        return this.retroMinutes;
+    }
+
+    /**
+     * Seconds of audio currently held in the ring buffer
+     */
+    getBufferedDuration() {
+        return this.ringFilled / this.sampleRate;
+    }
+
+    /**
+     * Resize the retro capture window, keeping the most recent audio
+     */
+    setRetroMinutes(minutes) {
+        const clamped = Math.max(MIN_RETRO_MINUTES, Math.min(MAX_RETRO_MINUTES, Math.round(minutes)));
+        if (clamped === this.retroMinutes) return;
+
+        const { left, right } = this.ringLeft ? this.readRing(this.ringFilled) : {};
+        this.retroMinutes = clamped;
+        console.log(`🕰️ [Recorder] Retro capture window set to ${clamped} min`);
+
+        if (!left) return;
+        this.allocateRing();
+        this.writeRing(left, right);
+    }
+
+    /**
+     * Export the last N minutes (default: whole window) without recording armed
+     * @returns {boolean} false if nothing has been captured yet
+     */
+    captureRecent(minutes = this.retroMinutes) {
+        const frames = Math.min(this.ringFilled, Math.round(minutes * 60 * this.sampleRate));
+        if (frames === 0) return false;
+
+        const { left, right } = this.readRing(frames);
+        const startFrame = this.totalFrames - frames;
+        // Keep the last marker before the window too, pinned to 0, so the state at the start is labelled
+        const firstInside = this.recentMarkers.findIndex(m => m.frame > startFrame);
+        const from = firstInside === -1 ? this.recentMarkers.length - 1 : Math.max(0, firstInside - 1);
+        const markers = this.recentMarkers
+            .slice(Math.max(0, from))
+            .map(({ frame, ...m }) => ({ ...m, time: Math.max(0, frame - startFrame) / this.sampleRate }));
+
+        const duration = frames / this.sampleRate;
+        console.log(`🕰️ [Recorder] Retro capture: ${duration.toFixed(1)}s, ${markers.length} markers`);
+        this.download({ blob: this.encode(left, right, markers), markers, duration }, 'promptdj-retro');
+        return true;
+    }
+
+    /**
+     * Push a block of stereo frames (the router's master bus tap)
+     */
+    capture(left, right) {
+        this.writeRing(left, right);
+        this.totalFrames += left.length;
+
+        if (!this.isRecording) return;
+
+        // Copy: the ScriptProcessor tap reuses its buffers
+        this.leftChunks.push(new Float32Array(left));
+        this.rightChunks.push(new Float32Array(right));
+        this.frameCount += left.length;
+
+        const second = Math.floor(this.getDuration());
+        if (second !== this.lastProgressSecond) {
+            this.lastProgressSecond = second;
+            this.dispatchEvent(new CustomEvent('recording-progress', {
+                detail: { duration: this.getDuration() }
+            }));
+        }
+    }
+
+    /**
+     * Add a chapter marker at the current recording position
+     * @param {'prompts'|'config'|'morph'} type
+     * @param {*} detail - The prompts array, config object or morph options that were sent
+     */
+    addMarker(type, detail) {
+        const label = this.describe(type, detail);
+
+        // Retro markers are positioned by absolute frame and pruned with the ring
+        this.pushMarker(this.recentMarkers, { frame: this.totalFrames, type, label, detail }, 'frame', this.sampleRate);
+        const oldest = this.totalFrames - this.ringFilled;
+        while (this.recentMarkers.length > 1 && this.recentMarkers[1].frame <= oldest) {
+            this.recentMarkers.shift();
+        }
+
+        if (!this.isRecording) return;
+        this.pushMarker(this.markers, { time: this.getDuration(), type, label, detail }, 'time', 1);
+    }
+
+    /**
+     * Append a marker, merging with the previous one of the same type if too close
+     */
+    pushMarker(list, marker, key, unitsPerSecond) {
+        const last = list[list.length - 1];
+        if (last && last.type === marker.type &&
+            (marker[key] - last[key]) / unitsPerSecond < MARKER_MERGE_WINDOW) {
+            marker[key] = last[key];
+            list[list.length - 1] = marker;
+        } else {
+            list.push(marker);
+        }
+    }
+
+    /**
+     * Human-readable cue label
+     */
+    describe(type, detail) {
+        if (type === 'prompts' && Array.isArray(detail)) {
+            return 'Prompts: ' + detail.map(p => `${p.text} (${p.weight})`).join(', ');
+        }
+        if (type === 'config' && detail) {
+            return 'Config: ' + Object.entries(detail)
+                .map(([k, v]) => `${k}=${typeof v === 'number' ? +v.toFixed(2) : v}`)
+                .join(', ');
+        }
+        if (type === 'morph' && detail) {
+            return `Morph to ${detail.label || 'prompts'} (${detail.duration}s ${detail.easing})`;
+        }
+        return type;
+    }
+
+    /**
+     * Encode channels to WAV with markers as cue points
+     */
+    encode(left, right, markers) {
+        return encodeWav(left, right, this.sampleRate, markers.map(m => ({
+            frame: m.time * this.sampleRate,
+            label: m.label,
+        })));
+    }
+
+    /**
+     * Download a take as WAV plus a JSON marker sidecar
+     */
+    download(take, prefix) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const basename = `${prefix}-${stamp}`;
+
+        downloadBlob(take.blob, `${basename}.wav`);
+        downloadBlob(new Blob([JSON.stringify({
+            file: `${basename}.wav`,
+            sampleRate: this.sampleRate,
+            duration: take.duration,
+            markers: take.markers,
+        }, null, 2)], { type: 'application/json' }), `${basename}.markers.json`);
+    }
+
+    /**
+     * (Re)allocate the ring buffer for the current window, emptying it
+     */
+    allocateRing() {
+        const capacity = this.retroMinutes * 60 * this.sampleRate;
+        this.ringLeft = new Int16Array(capacity);
+        this.ringRight = new Int16Array(capacity);
+        this.ringWrite = 0;
+        this.ringFilled = 0;
+    }
+
+    /**
+     * Write float frames into the ring, overwriting the oldest audio
+     */
+    writeRing(left, right) {
+        if (!this.ringLeft) this.allocateRing();
+
+        const capacity = this.ringLeft.length;
+        const length = Math.min(left.length, right.length);
+        for (let i = 0; i < length; i++) {
+            const l = Math.max(-1, Math.min(1, left[i]));
+            const r = Math.max(-1, Math.min(1, right[i]));
+            this.ringLeft[this.ringWrite] = l * 0x7FFF;
+            this.ringRight[this.ringWrite] = r * 0x7FFF;
+            this.ringWrite = (this.ringWrite + 1) % capacity;
+        }
+        this.ringFilled = Math.min(capacity, this.ringFilled + length);
+    }
+
+    /**
+     * Read the most recent `frames` frames from the ring as float channels
+     */
+    readRing(frames) {
+        const capacity = this.ringLeft.length;
+        const left = new Float32Array(frames);
+        const right = new Float32Array(frames);
+        let index = (this.ringWrite - frames + capacity) % capacity;
+        for (let i = 0; i < frames; i++) {
+            left[i] = this.ringLeft[index] / 0x7FFF;
+            right[i] = this.ringRight[index] / 0x7FFF;
+            index = (index + 1) % capacity;
+        }
+        return { left, right };
+    }
+
+    /**
+     * Join captured chunks into contiguous channel arrays
+     */
+    flatten() {
+        const left = new Float32Array(this.frameCount);
+        const right = new Float32Array(this.frameCount);
+        let offset = 0;
+        for (let i = 0; i < this.leftChunks.length; i++) {
+            left.set(this.leftChunks[i], offset);
+            right.set(this.rightChunks[i], offset);
+            offset += this.leftChunks[i].length;
+        }
+        return { left, right };
+    }
+}
+
+// Singleton instance
+const recorderService = new RecorderService();
+
+export default recorderService;
+export { RecorderService };
@@ -0,0 +1,183 @@
+/**
+ * SceneSequencer.js - Timed set-list playback
+ * Advances through scenes (prompt mix + knob values + duration + transition)
+ * on the App's listening clock: App calls tick() with the listening time
+ * every second, so scenes only advance while music is actually playing
+ */
+
+let nextSceneId = 1;
+
+/**
+ * Create a scene
+ * @param {{ name?: string, prompts: Array, knobs: Object, duration?: number, transition?: 'cut'|'morph', transitionTime?: number }} fields
+ */
+export function createScene(fields) {
+    return {
+        id: `scene-${Date.now()}-${nextSceneId++}`,
+        name: 'Scene',
+        duration: 120,
+        transition: 'cut',
+        transitionTime: 16,
+        ...fields,
+    };
+}
+
+/**
+ * Create an empty set list
+ */
+export function createSetList(name) {
+    return { id: `setlist-${Date.now()}`, name, scenes: [], loop: false };
+}
+
+class SceneSequencer extends EventTarget {
+    constructor() {
+        super();
+        this.setList = null;
+        this.index = -1;
+        this.elapsed = 0;
+        this.lastTick = null;
+        this.isRunning = false;
+        this.isHeld = false;
+        this.loop = false;
+    }
+
+    get currentScene() {
+        return this.setList?.scenes[this.index] || null;
+    }
+
+    /**
+     * Start a set list from the given scene
+     */
+    start(setList, index = 0) {
+        if (!setList?.scenes.length) return;
+        this.setList = setList;
+        this.loop = !!setList.loop;
+        this.isRunning = true;
+        this.isHeld = false;
+        this.lastTick = null;
+        console.log(`🎬 [Sequencer] Starting set list "${setList.name}"`);
+        this.activate(index);
+    }
+
+    /**
+     * Stop sequencing (current music keeps playing as-is)
+     */
+    stop() {
+        if (!this.isRunning) return;
+        console.log('⏹️ [Sequencer] Stopped');
+        this.isRunning = false;
+        this.isHeld = false;
+        this.index = -1;
+        this.emitState();
+    }
+
+    /**
+     * Swap in an edited copy of the running set list without restarting
+     */
+    updateSetList(setList) {
+        if (!this.isRunning || setList.id !== this.setList.id) return;
+        const currentId = this.currentScene?.id;
+        this.setList = setList;
+        this.loop = !!setList.loop;
+
+        const index = setList.scenes.findIndex(s => s.id === currentId);
+        if (index === -1) {
+            this.stop();
+            return;
+        }
+        this.index = index;
+        this.emitState();
+    }
+
+    /**
+     * Freeze/unfreeze the scene clock
+     */
+    setHold(isHeld) {
+        this.isHeld = isHeld;
+        console.log(`⏸️ [Sequencer] Hold ${isHeld ? 'on' : 'off'}`);
+        this.emitState();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.emitState();
+    }
+
+    /**
+     * Advance to the next scene now
+     */
+    skip() {
+        if (!this.isRunning) return;
+        this.advance();
+    }
+
+    /**
+     * Jump straight to a scene
+     */
+    jumpTo(index) {
+        if (!this.isRunning || !this.setList.scenes[index]) return;
+        this.activate(index);
+    }
+
+    /**
+     * Driven by the App's listening timer (seconds of listening time)
+     */
+    tick(listeningSeconds) {
+        if (!this.isRunning) return;
+
+        const delta = this.lastTick === null ? 0 : Math.max(0, listeningSeconds - this.lastTick);
+        this.lastTick = listeningSeconds;
+        if (this.isHeld) return;
+
+        this.elapsed += delta;
+        if (this.elapsed >= this.currentScene.duration) {
+            this.advance();
+        } else {
+            this.emitState();
+        }
+    }
+
+    /**
+     * Move to the next scene, wrapping or finishing at the end
+     */
+    advance() {
+        const next = this.index + 1;
+        if (next < this.setList.scenes.length) {
+            this.activate(next);
+        } else if (this.loop) {
+            this.activate(0);
+        } else {
+            console.log('🏁 [Sequencer] Set list finished');
+            this.stop();
+        }
+    }
+
+    activate(index) {
+        this.index = index;
+        this.elapsed = 0;
+        const scene = this.currentScene;
+        console.log(`🎬 [Sequencer] Scene ${index + 1}/${this.setList.scenes.length}: ${scene.name}`);
+        this.dispatchEvent(new CustomEvent('scene-changed', { detail: scene }));
+        this.emitState();
+    }
+
+    emitState() {
+        this.dispatchEvent(new CustomEvent('sequencer-state', {
+            detail: {
+                isRunning: this.isRunning,
+                isHeld: this.isHeld,
+                loop: this.loop,
+                setListId: this.setList?.id || null,
+                index: this.index,
+                elapsed: this.elapsed,
+                duration: this.currentScene?.duration || 0,
+            }
+        }));
+    }
+}
+
+// Singleton instance
+const sceneSequencer = new SceneSequencer();
+
+export default sceneSequencer;
+export { SceneSequencer };
@@ -1,20 +1,32 @@
 /**
  * SimpleSynthService.js - Web Audio API based fallback synthesizer
- * Pure browser-based audio generation without external dependencies
+ * Pure browser-based audio generation without external dependencies.
+ * Registered with EngineRouter as the 'synth' engine.
  */
+import recorderService from './RecorderService';
+import audioGraph from './AudioGraph';
+
+// Trim so the raw oscillators sit at roughly Lyria's loudness on the master bus
+const SYNTH_LEVEL = 0.3;
 
 class SimpleSynthService extends EventTarget {
     constructor() {
         super();
+        this.id = 'synth';
+        this.label = 'Local Synth';
         this.audioContext = null;
-        this.masterGain = null;
+        this.levelGain = null;
         this.filter = null;
+        this.analyser = null;
         this.oscillators = [];
         this.playbackState = 'stopped';
         this.loopInterval = null;
         this.tempo = 90;
         this.brightness = 0.5;
         this.density = 0.5;
+        this.muteDrums = false;
+        this.onlyBassAndDrums = false;
+        this.musicConfig = {}; // Last values received, so repeats aren't re-applied or re-marked
 
         // Track the noise node separately
         this.noiseNode = null;
@@ -23,27 +35,77 @@ class SimpleSynthService extends EventTarget {
     async init() {
         if (this.audioContext) return;
 
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        // Shared context and master bus: volume and metering are applied there
+        this.audioContext = audioGraph.getContext();
 
-        // Master Chain: Components -> Master Filter -> Master Gain -> Destination
+        // Synth Chain: Components -> Filter -> Analyser -> Level Trim -> Master Bus
         this.filter = this.audioContext.createBiquadFilter();
         this.filter.type = 'lowpass';
-        this.updateFilter();
+        this.filter.frequency.value = this.filterFrequency(); // Start at the handed-over brightness, no sweep
+
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.8;
 
-        this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 0.3;
+        this.levelGain = this.audioContext.createGain();
+        this.levelGain.gain.value = SYNTH_LEVEL;
 
-        this.filter.connect(this.masterGain);
-        this.masterGain.connect(this.audioContext.destination);
+        this.filter.connect(this.analyser);
+        this.analyser.connect(this.levelGain);
+        this.levelGain.connect(audioGraph.getInput(this.id));
 
         await this.initNoise();
     }
 
+    // Map 0-1 brightness to 200Hz - 8000Hz log scale
+    filterFrequency() {
+        return 200 * Math.pow(40, this.brightness);
+    }
+
     updateFilter() {
         if (!this.filter) return;
-        // Map 0-1 brightness to 200Hz - 8000Hz log scale
-        const freq = 200 * Math.pow(40, this.brightness);
-        this.filter.frequency.setTargetAtTime(freq, this.audioContext.currentTime, 0.1);
+        this.filter.frequency.setTargetAtTime(this.filterFrequency(), this.audioContext.currentTime, 0.1);
+    }
+
+    /**
+     * Always available: needs nothing but Web Audio
+     */
+    isAvailable() {
+        return true;
+    }
+
+    getAnalyser() {
+        return this.analyser;
+    }
+
+    getOutputNode() {
+        return this.levelGain;
+    }
+
+    getAudioContext() {
+        return this.audioContext;
+    }
+
+    /**
+     * Engine config entry point: bpm drives the loop, the rest maps onto setParameters
+     */
+    setMusicConfig(config) {
+        // Only real changes count: knob ticks and handovers resend unchanged values
+        const current = { ...this.musicConfig, bpm: this.tempo };
+        const changes = {};
+        Object.entries(config).forEach(([key, value]) => {
+            if (value === undefined) return;
+            if (value === null ? key in current : current[key] !== value) changes[key] = value;
+        });
+        if (!Object.keys(changes).length) return;
+
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) delete this.musicConfig[key];
+            else this.musicConfig[key] = value;
+        });
+        if (changes.bpm !== undefined) this.setTempo(changes.bpm);
+        this.setParameters(changes);
+        recorderService.addMarker('config', changes);
     }
 
     setParameters(config) {
@@ -54,6 +116,12 @@ class SimpleSynthService extends EventTarget {
         if (config.density !== undefined) {
             this.density = config.density;
         }
+        if (config.muteDrums !== undefined) {
+            this.muteDrums = config.muteDrums;
+        }
+        if (config.onlyBassAndDrums !== undefined) {
+            this.onlyBassAndDrums = config.onlyBassAndDrums;
+        }
     }
 
     // Create a continuous lofi crackle/noise
@@ -88,8 +156,8 @@ class SimpleSynthService extends EventTarget {
         this.dispatchEvent(new CustomEvent('playback-state-changed', { detail: state }));
     }
 
-    async setWeightedPrompts(prompts) {
-        console.log('SimpleSynth: Syncing mood with prompts', prompts);
+    async setWeightedPrompts(prompts, { transient = false } = {}) {
+        if (!transient) recorderService.addMarker('prompts', prompts);
         // We could adjust instrument types or scale here based on text
     }
 
@@ -110,7 +178,7 @@ class SimpleSynthService extends EventTarget {
             gain.gain.setValueAtTime(0.3, time);
             gain.gain.exponentialRampToValueAtTime(0.01, time + 0.5);
             osc.connect(gain);
-            gain.connect(this.masterGain);
+            gain.connect(this.levelGain);
             osc.start(time);
             osc.stop(time + 0.5);
         } else if (type === 'snare') {
@@ -127,7 +195,7 @@ class SimpleSynthService extends EventTarget {
             gain.gain.exponentialRampToValueAtTime(0.01, time + 0.1);
             noise.connect(filter);
             filter.connect(gain);
-            gain.connect(this.masterGain);
+            gain.connect(this.levelGain);
             noise.start(time);
             noise.stop(time + 0.1);
         }
@@ -179,17 +247,19 @@ class SimpleSynthService extends EventTarget {
             const now = this.audioContext.currentTime;
 
             // Chord every 4 beats (start of measure)
-            if (step % 16 === 0) {
+            if (step % 16 === 0 && !this.onlyBassAndDrums) {
                 const chord = this.lofiProgression[Math.floor(step / 16) % this.lofiProgression.length];
                 this.playChord(chord, beatDuration * 4, now);
             }
 
             // Simple Beat (Boom-Bap)
-            if (step % 8 === 0) this.playDrum('kick', now);
-            if (step % 8 === 4) this.playDrum('snare', now);
+            if (!this.muteDrums) {
+                if (step % 8 === 0) this.playDrum('kick', now);
+                if (step % 8 === 4) this.playDrum('snare', now);
+            }
 
             // Random Melody (Pentatonic)
-            if (Math.random() < this.density * 0.3) {
+            if (!this.onlyBassAndDrums && Math.random() < this.density * 0.3) {
                 const pentatonic = [0, 2, 4, 7, 9];
                 const note = 72 + pentatonic[Math.floor(Math.random() * pentatonic.length)];
                 this.playChord([note], beatDuration * 0.5, now);
@@ -248,3 +318,4 @@ class SimpleSynthService extends EventTarget {
 
 const simpleSynthService = new SimpleSynthService();
 export default simpleSynthService;
+export { SimpleSynthService };
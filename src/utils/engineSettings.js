@@ -0,0 +1,45 @@
+/**
+ * engineSettings.js - User-editable Lyria engine settings (API key, models, buffer)
+ * Persisted in localStorage and applied at runtime through engineRouter.configure.
+ */
+import { MIN_LATENCY, MAX_LATENCY, DEFAULT_LATENCY } from './jitterBuffer';
+
+// Suggestions only: any model id the API accepts can be typed in
+export const LYRIA_MODELS = ['models/lyria-realtime-exp'];
+export const TEXT_MODELS = ['gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+
+export const DEFAULT_ENGINE_SETTINGS = {
+    apiKey: '',                 // Empty: use the proxy or build-time key
+    lyriaModel: LYRIA_MODELS[0],
+    textModel: TEXT_MODELS[0],
+    latencyMode: 'adaptive',    // 'adaptive' | 'fixed'
+    latency: DEFAULT_LATENCY,   // Seconds, used when fixed
+};
+
+/**
+ * Fill gaps with defaults and drop values of the wrong shape
+ */
+export function sanitizeEngineSettings(values = {}) {
+    const settings = { ...DEFAULT_ENGINE_SETTINGS };
+    ['apiKey', 'lyriaModel', 'textModel'].forEach(key => {
+        if (typeof values[key] === 'string') settings[key] = values[key].trim();
+    });
+    if (!settings.lyriaModel) settings.lyriaModel = DEFAULT_ENGINE_SETTINGS.lyriaModel;
+    if (!settings.textModel) settings.textModel = DEFAULT_ENGINE_SETTINGS.textModel;
+    if (values.latencyMode === 'fixed') settings.latencyMode = 'fixed';
+    if (typeof values.latency === 'number' && !Number.isNaN(values.latency)) {
+        settings.latency = Math.max(MIN_LATENCY, Math.min(MAX_LATENCY, values.latency));
+    }
+    return settings;
+}
+
+/**
+ * Settings as LiveMusicService.configure options (the client itself is chosen by the app)
+ */
+export function toEngineOptions(settings) {
+    return {
+        lyriaModel: settings.lyriaModel,
+        textModel: settings.textModel,
+        latency: settings.latencyMode === 'fixed' ? settings.latency : null,
+    };
+}
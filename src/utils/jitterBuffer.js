@@ -0,0 +1,131 @@
+/**
+ * jitterBuffer.js - Adaptive playout latency for streamed audio chunks
+ * Measures how far chunk arrivals stray from the audio they carry and keeps
+ * a target latency that covers that jitter. Underruns bump the target at
+ * once; it only relaxes after a quiet spell. A rise reaches running playback
+ * straight away (the player holds for the difference, in steps of at least
+ * MIN_PADDING); a drop waits until playback re-anchors. A fixed latency (user
+ * setting) turns the adaptation off but keeps the measurements.
+ */
+
+export const MIN_LATENCY = 0.5;     // seconds
+export const MAX_LATENCY = 4;
+export const DEFAULT_LATENCY = 1.5;
+export const MIN_PADDING = 0.1;     // Smallest rise worth a hold in running playback
+
+const JITTER_MULTIPLIER = 3;        // Target covers this many smoothed jitters
+const UNDERRUN_STEP = 0.5;          // Added to the target on every underrun
+const RELAX_AFTER = 30;             // Seconds without an underrun before shrinking
+const RELAX_RATE = 0.05;            // Fraction of the gap closed per chunk while relaxing
+const LATE_MARGIN = 0.1;            // Chunk scheduled with less headroom than this counts as late
+
+class JitterBuffer {
+    constructor() {
+        this.fixedLatency = null;
+        this.reset();
+    }
+
+    /**
+     * Forget measurements and counters (new session / playback start)
+     */
+    reset() {
+        this.targetLatency = this.fixedLatency ?? DEFAULT_LATENCY;
+        this.floor = MIN_LATENCY;
+        this.jitter = 0;
+        this.lastArrival = null;
+        this.lastDuration = 0;
+        this.lastUnderrunAt = -Infinity;
+        this.underruns = 0;
+        this.lateChunks = 0;
+        this.chunks = 0;
+    }
+
+    /**
+     * Pin the target to `seconds`, or pass null to adapt again
+     */
+    setFixedLatency(seconds) {
+        this.fixedLatency = seconds === null ? null : this.clamp(seconds);
+        if (this.fixedLatency !== null) this.targetLatency = this.fixedLatency;
+    }
+
+    /**
+     * Keep the learned latency but forget arrival timing (pause, reconnect)
+     */
+    clearTiming() {
+        this.lastArrival = null;
+    }
+
+    /**
+     * Record a chunk arrival
+     * @param {number} now - Arrival time in seconds (AudioContext clock)
+     * @param {number} duration - Seconds of audio in the chunk
+     */
+    onArrival(now, duration) {
+        this.chunks++;
+
+        if (this.lastArrival !== null) {
+            // Deviation from the ideal spacing (one chunk's worth of audio), smoothed as in RFC 3550
+            const deviation = Math.abs((now - this.lastArrival) - this.lastDuration);
+            this.jitter += (deviation - this.jitter) / 16;
+        }
+        this.lastArrival = now;
+        this.lastDuration = duration;
+        if (this.fixedLatency !== null) return;
+
+        const wanted = this.clamp(Math.max(this.floor, this.jitter * JITTER_MULTIPLIER));
+        if (wanted > this.targetLatency) {
+            this.targetLatency = wanted;
+        } else if (now - this.lastUnderrunAt > RELAX_AFTER) {
+            // Stable for a while: ease back down, and let the underrun floor go with it
+            this.targetLatency -= (this.targetLatency - wanted) * RELAX_RATE;
+            this.floor = Math.max(MIN_LATENCY, this.floor - (this.floor - MIN_LATENCY) * RELAX_RATE);
+        }
+    }
+
+    /**
+     * Classify where a chunk landed relative to the playhead
+     * @returns {'ok'|'late'|'underrun'}
+     */
+    classify(now, scheduledAt) {
+        if (scheduledAt < now) {
+            this.recordUnderrun(now);
+            return 'underrun';
+        }
+        if (scheduledAt - now < LATE_MARGIN) {
+            this.lateChunks++;
+            return 'late';
+        }
+        return 'ok';
+    }
+
+    /**
+     * Playback ran dry: raise the target (and its floor) by one step
+     */
+    recordUnderrun(now) {
+        this.underruns++;
+        this.lastUnderrunAt = now;
+        if (this.fixedLatency !== null) return;
+        this.floor = this.clamp(this.targetLatency + UNDERRUN_STEP);
+        this.targetLatency = this.floor;
+    }
+
+    clamp(value) {
+        return Math.max(MIN_LATENCY, Math.min(MAX_LATENCY, value));
+    }
+
+    /**
+     * Snapshot for the 'buffer-stats' event
+     */
+    getStats(bufferedAhead) {
+        return {
+            targetLatency: this.targetLatency,
+            bufferedAhead: Math.max(0, bufferedAhead),
+            jitter: this.jitter,
+            underruns: this.underruns,
+            lateChunks: this.lateChunks,
+            chunks: this.chunks,
+        };
+    }
+}
+
+export { JitterBuffer };
@@ -0,0 +1,275 @@
+/**
+ * lyriaSimulator.js - Offline stand-in for the GoogleGenAI client used by LiveMusicService
+ * Speaks the same live music protocol (setupComplete, base64 16-bit stereo
+ * audioChunks, filteredPrompt, close/error callbacks) with locally synthesized
+ * audio, so the whole UI and the failure paths run without a key or network.
+ * Scenarios script failures deterministically (seeded jitter, fixed chunk counts):
+ *   const ai = new SimulatedGenAI('flaky');   // or VITE_LYRIA_SIMULATOR=flaky
+ *   engineRouter.configure({ ai });
+ *   ai.trigger('close'); // or 'error', 'stall', 'resume' on the live session
+ */
+import { encodePcm16 } from './pcm16';
+
+const SAMPLE_RATE = 44100;
+const CHUNK_SECONDS = 2;        // Lyria sends roughly 2s of audio per message
+const SETUP_DELAY_MS = 300;
+const FIRST_CHUNK_MS = 500;
+
+// Prompts containing these words come back as filteredPrompt
+const FILTERED_WORDS = ['filtered', 'blocked'];
+
+/**
+ * Scripted behaviours. Script entries fire once the session has sent `atChunk`
+ * chunks; `session` limits an entry to that connection number (1-based).
+ */
+const SCENARIOS = {
+    steady: {},
+    jitter: { jitterMs: 1500 },
+    flaky: { script: [{ atChunk: 6, type: 'close', code: 1011, reason: 'Simulated internal error' }] },
+    error: { script: [{ session: 1, atChunk: 3, type: 'error', message: 'Simulated socket error' }] },
+    stall: { script: [{ session: 1, atChunk: 4, type: 'stall' }] },
+    recover: { failConnects: 2 },
+    down: { failConnects: Infinity },
+};
+
+// Small seeded PRNG (mulberry32) so jitter is the same on every run
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    return Math.abs(hash);
+}
+
+const noteToFreq = (note) => 440 * Math.pow(2, (note - 69) / 12);
+
+class SimulatedMusicSession {
+    constructor(simulator, number, callbacks) {
+        this.simulator = simulator;
+        this.number = number;
+        this.callbacks = callbacks;
+        this.scenario = simulator.scenario;
+        this.random = seededRandom(number);
+        this.prompts = [];
+        this.config = {};
+        this.frame = 0;             // Running sample position, keeps waveforms continuous
+        this.chunksSent = 0;
+        this.timer = null;
+        this.isPlaying = false;
+        this.isStalled = false;
+        this.isClosed = false;
+    }
+
+    // --- LiveMusicSession surface ---
+
+    async setWeightedPrompts({ weightedPrompts }) {
+        this.prompts = weightedPrompts;
+        weightedPrompts
+            .filter(p => FILTERED_WORDS.some(word => p.text.toLowerCase().includes(word)))
+            .forEach(p => this.send({ filteredPrompt: { text: p.text, filteredReason: 'Simulated safety filter' } }));
+    }
+
+    async setMusicGenerationConfig({ musicGenerationConfig }) {
+        this.config = { ...musicGenerationConfig };
+    }
+
+    play() {
+        if (this.isPlaying || this.isClosed) return;
+        this.isPlaying = true;
+        this.schedule(FIRST_CHUNK_MS);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+    }
+
+    stop() {
+        this.pause();
+        this.frame = 0;
+    }
+
+    resetContext() {
+        this.frame = 0;
+    }
+
+    close() {
+        this.end({ code: 1000, reason: '', wasClean: true });
+    }
+
+    // --- Simulation ---
+
+    send(message) {
+        if (!this.isClosed) this.callbacks?.onmessage?.(message);
+    }
+
+    end(event) {
+        if (this.isClosed) return;
+        this.pause();
+        this.isClosed = true;
+        if (this.simulator.session === this) this.simulator.session = null;
+        this.callbacks?.onclose?.(event);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    tick() {
+        if (!this.isPlaying || this.isClosed) return;
+
+        if (!this.isStalled) {
+            this.send({ serverContent: { audioChunks: [{ data: this.renderChunk(), mimeType: 'audio/l16;rate=44100;channels=2' }] } });
+            this.chunksSent++;
+            this.runScript();
+        }
+
+        const jitter = (this.scenario.jitterMs || 0) * (this.random() * 2 - 1);
+        this.schedule(Math.max(0, CHUNK_SECONDS * 1000 + jitter));
+    }
+
+    runScript() {
+        (this.scenario.script || [])
+            .filter(step => step.atChunk === this.chunksSent && (!step.session || step.session === this.number))
+            .forEach(step => this.apply(step));
+    }
+
+    /**
+     * Scripted (or devtools-triggered) event: 'close' | 'error' | 'stall' | 'resume'
+     */
+    apply({ type, code = 1011, reason = 'Simulated close', message = 'Simulated error' }) {
+        console.log(`🧪 [Simulator] Session ${this.number}: ${type}`);
+        switch (type) {
+            case 'close':
+                this.end({ code, reason, wasClean: false });
+                break;
+            case 'error':
+                this.callbacks?.onerror?.(new Error(message));
+                this.end({ code: 1006, reason: message, wasClean: false });
+                break;
+            case 'stall':
+                this.isStalled = true; // Socket stays open, audio stops
+                break;
+            case 'resume':
+                this.isStalled = false;
+                break;
+        }
+    }
+
+    /**
+     * Synthesize CHUNK_SECONDS of audio from the prompts and config:
+     * a pad chord chosen by the prompt text, beat pulses at the BPM
+     * (more with density) and extra harmonics with brightness.
+     */
+    renderChunk() {
+        const frames = SAMPLE_RATE * CHUNK_SECONDS;
+        const left = new Float32Array(frames);
+        const right = new Float32Array(frames);
+
+        const text = this.prompts.map(p => p.text).join(' ') || 'silence';
+        const root = 45 + (hashText(text) % 12);
+        const minor = hashText(text) % 2 === 0;
+        const chord = [root, root + (minor ? 3 : 4), root + 7, root + 12].map(noteToFreq);
+
+        const bpm = this.config.bpm || 90;
+        const density = this.config.density ?? 0.5;
+        const brightness = this.config.brightness ?? 0.5;
+        const beatFrames = Math.round(SAMPLE_RATE * 60 / bpm);
+        const pulseFrames = density > 0.5 ? beatFrames / 2 : beatFrames;
+
+        for (let i = 0; i < frames; i++) {
+            const t = (this.frame + i) / SAMPLE_RATE;
+
+            let pad = 0;
+            chord.forEach((freq, n) => {
+                const phase = 2 * Math.PI * freq * t;
+                pad += Math.sin(phase) + brightness * 0.3 * Math.sin(2 * phase) + brightness * 0.15 * Math.sin(3 * phase);
+                if (n === 0) pad += 0.5 * Math.sin(phase / 2); // Bass an octave down
+            });
+            pad *= 0.06;
+
+            const sinceBeat = (this.frame + i) % pulseFrames;
+            const pulse = density > 0.1
+                ? Math.sin(2 * Math.PI * 60 * sinceBeat / SAMPLE_RATE) * Math.exp(-sinceBeat / (SAMPLE_RATE * 0.08)) * 0.4 * density
+                : 0;
+
+            const pan = 0.15 * Math.sin(2 * Math.PI * 0.1 * t);
+            left[i] = pad * (1 - pan) + pulse;
+            right[i] = pad * (1 + pan) + pulse;
+        }
+
+        this.frame += frames;
+        return encodePcm16(left, right);
+    }
+}
+
+class SimulatedGenAI {
+    /**
+     * @param {string|object} scenario - Name from SCENARIOS or a custom scenario object
+     */
+    constructor(scenario = 'steady') {
+        if (typeof scenario === 'string' && !SCENARIOS[scenario]) {
+            console.warn(`🧪 [Simulator] Unknown scenario "${scenario}", using steady. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+            scenario = 'steady';
+        }
+        this.scenarioName = typeof scenario === 'string' ? scenario : 'custom';
+        this.scenario = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+        this.connections = 0;
+        this.session = null;
+
+        this.live = { music: { connect: (params) => this.connect(params) } };
+        this.models = { generateContent: (params) => this.generateContent(params) };
+
+        console.log(`🧪 [Simulator] Lyria simulator active (scenario: ${this.scenarioName})`);
+    }
+
+    async connect({ callbacks }) {
+        const number = ++this.connections;
+        await new Promise(resolve => setTimeout(resolve, SETUP_DELAY_MS));
+
+        if (number <= (this.scenario.failConnects || 0)) {
+            console.log(`🧪 [Simulator] Connection ${number} refused`);
+            throw new Error('Simulated connection failure');
+        }
+
+        const session = new SimulatedMusicSession(this, number, callbacks);
+        this.session = session;
+        setTimeout(() => session.send({ setupComplete: {} }), 0);
+        return session;
+    }
+
+    /**
+     * Canned text responses for prompt enhancement and creative prompts
+     */
+    async generateContent({ contents }) {
+        const request = contents?.[0]?.parts?.[0]?.text || '';
+        const base = request.match(/Now enhance: "(.*)"/)?.[1];
+        if (base) return { text: `${base} with warm tape-saturated keys, soft vinyl crackle and a slow swaying groove` };
+
+        const genre = request.match(/genre: (\w+)/)?.[1] || 'Ambient';
+        return { text: `${genre} textures drifting over a distant analog pulse` };
+    }
+
+    /**
+     * Fire an event on the live session from devtools: 'close' | 'error' | 'stall' | 'resume'
+     */
+    trigger(type, options = {}) {
+        if (!this.session) {
+            console.warn('🧪 [Simulator] No live session');
+            return;
+        }
+        this.session.apply({ type, ...options });
+    }
+}
+
+export { SimulatedGenAI, SCENARIOS };
@@ -0,0 +1,103 @@
+/**
+ * mockMidi.js - In-memory stand-in for the Web MIDI MIDIAccess object
+ * Lets MidiService be exercised without hardware:
+ *   const access = new MockMIDIAccess();
+ *   const knobs = access.addInput('Mock Controller');
+ *   await midiService.init(access);
+ *   knobs.cc(0, 21, 64);
+ *   const sync = access.addOutput('Mock Drum Machine');
+ *   sync.sent // [{ data: [0xFA], timestamp }, { data: [0xF8], timestamp }, ...]
+ */
+
+class MockMIDIInput {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.type = 'input';
+        this.state = 'connected';
+        this.onmidimessage = null;
+    }
+
+    /**
+     * Deliver a raw message as if it came from the device
+     */
+    emit(data) {
+        if (this.onmidimessage) {
+            this.onmidimessage({ data: Uint8Array.from(data), timeStamp: performance.now() });
+        }
+    }
+
+    cc(channel, number, value) {
+        this.emit([0xB0 | channel, number, value]);
+    }
+
+    noteOn(channel, note, velocity = 100) {
+        this.emit([0x90 | channel, note, velocity]);
+    }
+
+    noteOff(channel, note) {
+        this.emit([0x80 | channel, note, 0]);
+    }
+}
+
+class MockMIDIOutput {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.type = 'output';
+        this.state = 'connected';
+        this.sent = [];
+    }
+
+    /**
+     * Record the message instead of sending it
+     */
+    send(data, timestamp = performance.now()) {
+        this.sent.push({ data: [...data], timestamp });
+    }
+
+    clear() {
+        this.sent = [];
+    }
+}
+
+class MockMIDIAccess {
+    constructor() {
+        this.inputs = new Map();
+        this.outputs = new Map();
+        this.onstatechange = null;
+        this.nextId = 1;
+    }
+
+    addInput(name = 'Mock MIDI Input') {
+        const input = new MockMIDIInput(`mock-in-${this.nextId++}`, name);
+        this.inputs.set(input.id, input);
+        this.notify(input);
+        return input;
+    }
+
+    removeInput(input) {
+        this.inputs.delete(input.id);
+        input.state = 'disconnected';
+        this.notify(input);
+    }
+
+    addOutput(name = 'Mock MIDI Output') {
+        const output = new MockMIDIOutput(`mock-out-${this.nextId++}`, name);
+        this.outputs.set(output.id, output);
+        this.notify(output);
+        return output;
+    }
+
+    removeOutput(output) {
+        this.outputs.delete(output.id);
+        output.state = 'disconnected';
+        this.notify(output);
+    }
+
+    notify(port) {
+        if (this.onstatechange) this.onstatechange({ port });
+    }
+}
+
+export { MockMIDIAccess, MockMIDIInput, MockMIDIOutput };
@@ -0,0 +1,90 @@
+/**
+ * musicConfig.js - Advanced Lyria music generation parameters
+ * Specs mirror LiveMusicGenerationConfig ranges; values are validated here
+ * before they reach LiveMusicService
+ */
+
+// Scale enum values accepted by Lyria (relative major/minor pairs)
+export const SCALES = [
+    { value: 'SCALE_UNSPECIFIED', label: 'Auto' },
+    { value: 'C_MAJOR_A_MINOR', label: 'C maj / A min' },
+    { value: 'D_FLAT_MAJOR_B_FLAT_MINOR', label: 'D♭ maj / B♭ min' },
+    { value: 'D_MAJOR_B_MINOR', label: 'D maj / B min' },
+    { value: 'E_FLAT_MAJOR_C_MINOR', label: 'E♭ maj / C min' },
+    { value: 'E_MAJOR_D_FLAT_MINOR', label: 'E maj / C♯ min' },
+    { value: 'F_MAJOR_D_MINOR', label: 'F maj / D min' },
+    { value: 'G_FLAT_MAJOR_E_FLAT_MINOR', label: 'G♭ maj / E♭ min' },
+    { value: 'G_MAJOR_E_MINOR', label: 'G maj / E min' },
+    { value: 'A_FLAT_MAJOR_F_MINOR', label: 'A♭ maj / F min' },
+    { value: 'A_MAJOR_G_FLAT_MINOR', label: 'A maj / F♯ min' },
+    { value: 'B_FLAT_MAJOR_G_MINOR', label: 'B♭ maj / G min' },
+    { value: 'B_MAJOR_A_FLAT_MINOR', label: 'B maj / G♯ min' },
+];
+
+// Config keys Lyria only picks up after a context reset
+export const RESET_KEYS = ['bpm', 'scale'];
+
+/**
+ * Parameter specs for the Advanced panel.
+ * `null` default means "not sent" (server picks, e.g. a random seed).
+ */
+export const ADVANCED_PARAMS = [
+    { key: 'scale', label: 'Scale / Key', type: 'select', options: SCALES, default: 'SCALE_UNSPECIFIED' },
+    { key: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 3, step: 0.05, default: 1.1 },
+    { key: 'topK', label: 'Top-K', type: 'number', min: 1, max: 1000, step: 1, integer: true, default: 40 },
+    { key: 'seed', label: 'Seed', type: 'number', min: 0, max: 2147483647, step: 1, integer: true, default: null },
+    { key: 'muteDrums', label: 'Mute Drums', type: 'toggle', default: false },
+    { key: 'muteBass', label: 'Mute Bass', type: 'toggle', default: false },
+    { key: 'onlyBassAndDrums', label: 'Only Bass & Drums', type: 'toggle', default: false },
+];
+
+export const DEFAULT_ADVANCED_CONFIG = Object.fromEntries(
+    ADVANCED_PARAMS.map(p => [p.key, p.default])
+);
+
+/**
+ * Validate a single advanced parameter value
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateParam(key, value) {
+    const spec = ADVANCED_PARAMS.find(p => p.key === key);
+    if (!spec) return `Unknown parameter "${key}"`;
+    if (value === null && spec.default === null) return null;
+
+    switch (spec.type) {
+        case 'select':
+            return spec.options.some(o => o.value === value) ? null : `${spec.label}: unknown value`;
+        case 'toggle':
+            return typeof value === 'boolean' ? null : `${spec.label}: must be on or off`;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return `${spec.label}: must be a number`;
+            if (spec.integer && !Number.isInteger(value)) return `${spec.label}: must be a whole number`;
+            if (value < spec.min || value > spec.max) return `${spec.label}: must be ${spec.min}–${spec.max}`;
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Merge stored/preset values over defaults, dropping anything invalid
+ */
+export function sanitizeAdvancedConfig(values = {}) {
+    const config = { ...DEFAULT_ADVANCED_CONFIG };
+    ADVANCED_PARAMS.forEach(({ key }) => {
+        if (values && key in values && !validateParam(key, values[key])) {
+            config[key] = values[key];
+        }
+    });
+    return config;
+}
+
+/**
+ * Advanced values for setMusicConfig. Unset values (null seed) are kept as
+ * null so the service drops them from its config instead of keeping the old one.
+ */
+export function toSessionConfig(advanced) {
+    return Object.fromEntries(
+        Object.entries(advanced).filter(([, v]) => v !== undefined)
+    );
+}
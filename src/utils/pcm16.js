@@ -0,0 +1,46 @@
+/**
+ * pcm16.js - Base64 16-bit stereo PCM (Lyria chunks) to and from Float32 channels
+ */
+
+/**
+ * Decode interleaved little-endian 16-bit stereo PCM
+ * @returns {{ left: Float32Array, right: Float32Array }}
+ */
+export function decodePcm16(base64Data) {
+    const binaryString = atob(base64Data);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+
+    const samples = bytes.length / 4; // 2 bytes per sample, 2 channels
+    const left = new Float32Array(samples);
+    const right = new Float32Array(samples);
+
+    const dataView = new DataView(bytes.buffer);
+    for (let i = 0; i < samples; i++) {
+        left[i] = dataView.getInt16(i * 4, true) / 32768;
+        right[i] = dataView.getInt16(i * 4 + 2, true) / 32768;
+    }
+
+    return { left, right };
+}
+
+/**
+ * Encode Float32 channels as base64 interleaved little-endian 16-bit PCM (Lyria chunk format)
+ */
+export function encodePcm16(left, right) {
+    const bytes = new Uint8Array(left.length * 4);
+    const dataView = new DataView(bytes.buffer);
+    for (let i = 0; i < left.length; i++) {
+        dataView.setInt16(i * 4, Math.max(-1, Math.min(1, left[i])) * 32767, true);
+        dataView.setInt16(i * 4 + 2, Math.max(-1, Math.min(1, right[i])) * 32767, true);
+    }
+
+    // Build the binary string in slices to stay under the argument limit
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binaryString);
+}
@@ -0,0 +1,58 @@
+/**
+ * pcmDecoder.js - Off-main-thread decoding of Lyria PCM chunks
+ * Runs decodePcm16 in a worker; decodes inline only where workers are unavailable.
+ */
+import DecoderWorker from '../workers/pcmDecoder.worker.js?worker';
+import { decodePcm16 } from './pcm16';
+
+class PcmDecoder {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new DecoderWorker();
+                this.worker.onmessage = (e) => this.handleResult(e.data);
+                this.worker.onerror = (e) => this.handleCrash(e);
+            } catch (error) {
+                console.warn('⚠️ [Decoder] Worker unavailable, decoding on main thread:', error);
+            }
+        }
+    }
+
+    /**
+     * Decode one chunk; results resolve in submission order
+     */
+    decode(base64Data) {
+        if (!this.worker) return Promise.resolve(decodePcm16(base64Data));
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, data: base64Data });
+        });
+    }
+
+    handleResult({ id, left, right, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve({ left, right });
+    }
+
+    /**
+     * Worker died: fail what's in flight and decode inline from now on
+     */
+    handleCrash(event) {
+        console.error('❌ [Decoder] Worker crashed:', event.message);
+        this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(({ reject }) => reject(new Error('Decoder worker crashed')));
+        this.pending.clear();
+    }
+}
+
+export { PcmDecoder };
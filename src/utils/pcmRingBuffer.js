@@ -0,0 +1,89 @@
+/**
+ * pcmRingBuffer.js - Single-producer/single-consumer stereo ring buffer
+ * Interleaved Float32 frames plus two Atomics-managed indices, so the main
+ * thread can write and the AudioWorklet can read without locks. Backed by a
+ * SharedArrayBuffer when the page is cross-origin isolated; otherwise the
+ * worklet owns a private one and is fed over its MessagePort.
+ */
+
+const WRITE = 0;
+const READ = 1;
+
+class PcmRingBuffer {
+    /**
+     * @param {Int32Array} state - [writeIndex, readIndex] in frames
+     * @param {Float32Array} data - Interleaved L/R samples
+     */
+    constructor(state, data) {
+        this.state = state;
+        this.data = data;
+        this.capacity = data.length / 2;
+    }
+
+    /**
+     * Allocate a ring holding `frames` frames (one slot is kept empty)
+     */
+    static create(frames, shared = PcmRingBuffer.canShare()) {
+        const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+        const state = new Int32Array(new Buffer(2 * Int32Array.BYTES_PER_ELEMENT));
+        const data = new Float32Array(new Buffer((frames + 1) * 2 * Float32Array.BYTES_PER_ELEMENT));
+        return new PcmRingBuffer(state, data);
+    }
+
+    static canShare() {
+        return typeof SharedArrayBuffer !== 'undefined' && !!globalThis.crossOriginIsolated;
+    }
+
+    availableRead() {
+        const write = Atomics.load(this.state, WRITE);
+        const read = Atomics.load(this.state, READ);
+        return (write - read + this.capacity) % this.capacity;
+    }
+
+    availableWrite() {
+        return this.capacity - 1 - this.availableRead();
+    }
+
+    /**
+     * Producer: append frames, returns how many fit
+     */
+    push(left, right) {
+        const frames = Math.min(left.length, this.availableWrite());
+        let write = Atomics.load(this.state, WRITE);
+
+        for (let i = 0; i < frames; i++) {
+            this.data[write * 2] = left[i];
+            this.data[write * 2 + 1] = right[i];
+            write = (write + 1) % this.capacity;
+        }
+
+        Atomics.store(this.state, WRITE, write);
+        return frames;
+    }
+
+    /**
+     * Consumer: fill the output arrays, returns how many frames were available
+     */
+    pull(left, right) {
+        const frames = Math.min(left.length, this.availableRead());
+        let read = Atomics.load(this.state, READ);
+
+        for (let i = 0; i < frames; i++) {
+            left[i] = this.data[read * 2];
+            right[i] = this.data[read * 2 + 1];
+            read = (read + 1) % this.capacity;
+        }
+
+        Atomics.store(this.state, READ, read);
+        return frames;
+    }
+
+    /**
+     * Consumer: drop everything buffered
+     */
+    clear() {
+        Atomics.store(this.state, READ, Atomics.load(this.state, WRITE));
+    }
+}
+
+export { PcmRingBuffer };
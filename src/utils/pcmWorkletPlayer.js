@@ -0,0 +1,113 @@
+/**
+ * pcmWorkletPlayer.js - Main-thread side of the pcm-player AudioWorklet
+ * Writes decoded chunks into the shared ring (or posts them to the worklet
+ * when SharedArrayBuffer is unavailable) and re-emits worklet notifications
+ * as 'playing', 'underrun' and 'overflow' events.
+ */
+import workletUrl from '../worklets/pcmPlayer.worklet.js?worker&url';
+import { PcmRingBuffer } from './pcmRingBuffer';
+
+const RING_SECONDS = 12; // Comfortably above MAX_LATENCY plus one chunk
+
+class PcmWorkletPlayer extends EventTarget {
+    /**
+     * Load the worklet and build a player, or null where AudioWorklet is unavailable
+     * (e.g. insecure contexts) so the caller can keep scheduling buffer sources
+     */
+    static async create(audioContext, latency) {
+        if (!audioContext.audioWorklet) return null;
+
+        try {
+            await audioContext.audioWorklet.addModule(workletUrl);
+        } catch (error) {
+            console.warn('⚠️ [Player] AudioWorklet failed to load:', error);
+            return null;
+        }
+        return new PcmWorkletPlayer(audioContext, latency);
+    }
+
+    constructor(audioContext, latency) {
+        super();
+        this.audioContext = audioContext;
+        this.output = null;
+        this.isPlaying = false; // Past the initial/underrun hold
+        this.available = 0; // Frames buffered, as last reported by the worklet (non-shared ring)
+
+        const frames = RING_SECONDS * audioContext.sampleRate;
+        this.ring = PcmRingBuffer.canShare() ? PcmRingBuffer.create(frames, true) : null;
+
+        this.node = new AudioWorkletNode(audioContext, 'pcm-player', {
+            numberOfInputs: 0,
+            outputChannelCount: [2],
+            processorOptions: {
+                state: this.ring?.state,
+                data: this.ring?.data,
+                frames,
+                latency,
+            },
+        });
+        this.node.port.onmessage = (e) => this.handleMessage(e.data);
+
+        console.log(`🎛️ [Player] AudioWorklet ready (${this.ring ? 'shared' : 'message-fed'} ring buffer)`);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'status') {
+            this.available = message.available;
+            return;
+        }
+        if (message.type === 'playing') this.isPlaying = true;
+        if (message.type === 'underrun') this.isPlaying = false;
+        this.dispatchEvent(new CustomEvent(message.type));
+    }
+
+    /**
+     * Route the player into a (new) output node
+     */
+    connect(destination) {
+        if (this.output === destination) return;
+        if (this.output) this.node.disconnect(this.output);
+        this.node.connect(destination);
+        this.output = destination;
+    }
+
+    /**
+     * Queue decoded audio. Arrays are transferred when not sharing, so capture them first.
+     */
+    write(left, right) {
+        if (this.ring) {
+            if (this.ring.push(left, right) < left.length) {
+                this.dispatchEvent(new CustomEvent('overflow'));
+            }
+            return;
+        }
+
+        this.available += left.length;
+        this.node.port.postMessage({ type: 'push', left, right }, [left.buffer, right.buffer]);
+    }
+
+    /**
+     * Seconds of audio waiting in the ring
+     */
+    getBufferedSeconds() {
+        const frames = this.ring ? this.ring.availableRead() : this.available;
+        return frames / this.audioContext.sampleRate;
+    }
+
+    /**
+     * Drop buffered audio now, or at a context time (after a fade-out)
+     */
+    clear({ at = 0, latency } = {}) {
+        if (!at) {
+            this.available = 0;
+            this.isPlaying = false;
+        }
+        this.node.port.postMessage({ type: 'clear', at, latency });
+    }
+
+    setLatency(latency) {
+        this.node.port.postMessage({ type: 'latency', latency });
+    }
+}
+
+export { PcmWorkletPlayer };
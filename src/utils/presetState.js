@@ -0,0 +1,164 @@
+/**
+ * presetState.js - Full-state presets: what "Save as preset" captures
+ * A snapshot holds the weighted prompts, the knob values (BPM, guidance,
+ * density, brightness, volume), the advanced config and auto-drift.
+ * Built-in and older custom presets only carry prompts (and maybe
+ * advanced), so everything besides prompts is optional when restoring.
+ * Custom presets are stored as a plain array under lyria-custom-presets;
+ * migrateCustomPresets brings older entries up to the current shape.
+ */
+import { MIN_WEIGHT, MAX_WEIGHT, DEFAULT_WEIGHT } from './promptMix';
+
+export const MAX_PRESETS = 20;      // Built-in + custom
+export const PRESET_NAME_LENGTH = 24;
+const MAX_TAGS = 8;
+
+let nextPresetId = 1;
+
+// Same ranges as the on-screen controls
+export const KNOB_RANGES = {
+    bpm: { min: 60, max: 200 },
+    guidance: { min: 0, max: 6 },
+    density: { min: 0, max: 1 },
+    brightness: { min: 0, max: 1 },
+    volume: { min: 0.25, max: 1.75 },
+};
+
+/**
+ * Keep the known knobs that are numbers, clamped to their range
+ */
+export function sanitizeKnobs(values = {}) {
+    const knobs = {};
+    Object.entries(KNOB_RANGES).forEach(([key, { min, max }]) => {
+        const value = values?.[key];
+        if (typeof value === 'number' && !Number.isNaN(value)) {
+            knobs[key] = Math.max(min, Math.min(max, value));
+        }
+    });
+    return knobs;
+}
+
+/**
+ * Unique id for a custom preset
+ */
+export function createPresetId() {
+    return `custom-${Date.now()}-${nextPresetId++}`;
+}
+
+/**
+ * Lowercase, trimmed, de-duplicated tags from an array or a comma-separated string
+ */
+export function normalizeTags(input) {
+    const list = typeof input === 'string' ? input.split(',') : Array.isArray(input) ? input : [];
+    const tags = list
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Keep prompts with text, weights clamped to the mixer range
+ */
+export function sanitizePrompts(prompts) {
+    if (!Array.isArray(prompts)) return [];
+    return prompts
+        .filter(p => p && typeof p.text === 'string' && p.text.trim())
+        .map(p => ({
+            text: p.text.trim(),
+            weight: typeof p.weight === 'number' && !Number.isNaN(p.weight)
+                ? Math.max(MIN_WEIGHT, Math.min(MAX_WEIGHT, p.weight))
+                : DEFAULT_WEIGHT,
+        }));
+}
+
+/**
+ * Bring stored custom presets up to the current shape. Older entries lack
+ * description and tags, and saves from before full-state presets may have
+ * null prompts; entries with no usable prompt are dropped.
+ */
+export function migrateCustomPresets(entries) {
+    if (!Array.isArray(entries)) return [];
+    const seen = new Set();
+    return entries.flatMap(entry => {
+        const prompts = sanitizePrompts(entry?.prompts);
+        if (!prompts.length) {
+            console.warn('🗂️ [Presets] Dropping stored preset without prompts:', entry?.name);
+            return [];
+        }
+
+        let id = typeof entry.id === 'string' && entry.id ? entry.id : createPresetId();
+        if (seen.has(id)) id = createPresetId();
+        seen.add(id);
+
+        const preset = {
+            ...entry,
+            id,
+            name: (typeof entry.name === 'string' && entry.name.trim()) || 'Untitled',
+            description: typeof entry.description === 'string' ? entry.description : '',
+            tags: normalizeTags(entry.tags),
+            prompts,
+            isCustom: true,
+        };
+        if (entry.knobs) preset.knobs = sanitizeKnobs(entry.knobs);
+        return [preset];
+    });
+}
+
+/**
+ * Custom copy of any preset (built-ins included)
+ */
+export function duplicatePreset(preset) {
+    return {
+        ...preset,
+        id: createPresetId(),
+        name: `${preset.name} copy`.slice(0, PRESET_NAME_LENGTH),
+        description: preset.description || '',
+        tags: normalizeTags(preset.tags),
+        prompts: sanitizePrompts(preset.prompts),
+        isCustom: true,
+    };
+}
+
+/**
+ * Whether a preset matches a free-text query (name, description, tags, prompts) and a tag
+ */
+export function matchesPresetFilter(preset, query, tag) {
+    if (tag && !(preset.tags || []).includes(tag)) return false;
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+    return [preset.name, preset.description, ...(preset.tags || []), ...preset.prompts.map(p => p.text)]
+        .some(text => text?.toLowerCase().includes(needle));
+}
+
+/**
+ * Snapshot the current state as a custom preset
+ * @param {{ name: string, prompts: Array<{text: string, weight: number}>, knobs: Object, advanced: Object, autoDrift: { enabled: boolean } }} state
+ */
+export function createPresetSnapshot({ name, prompts, knobs, advanced, autoDrift }) {
+    return {
+        id: createPresetId(),
+        name,
+        description: '',
+        tags: [],
+        prompts: prompts.map(({ text, weight }) => ({ text, weight })),
+        knobs: sanitizeKnobs(knobs),
+        advanced: { ...advanced },
+        autoDrift: { enabled: Boolean(autoDrift?.enabled) },
+        isCustom: true,
+    };
+}
+
+/**
+ * One-line summary of a preset's knobs for tooltips (null for prompt-only presets)
+ */
+export function describeKnobs(knobs) {
+    if (!knobs || !Object.keys(knobs).length) return null;
+    const parts = [];
+    if (knobs.bpm !== undefined) parts.push(`${Math.round(knobs.bpm)} BPM`);
+    if (knobs.guidance !== undefined) parts.push(`Guidance ${knobs.guidance.toFixed(1)}`);
+    if (knobs.density !== undefined) parts.push(`Density ${knobs.density.toFixed(2)}`);
+    if (knobs.brightness !== undefined) parts.push(`Brightness ${knobs.brightness.toFixed(2)}`);
+    if (knobs.volume !== undefined) parts.push(`Vol ${Math.round(knobs.volume * 100)}%`);
+    return parts.join(' · ');
+}
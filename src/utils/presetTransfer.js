@@ -0,0 +1,190 @@
+/**
+ * presetTransfer.js - Share custom presets as versioned JSON files
+ * Export writes { format, version, exportedAt, presets }. Import validates
+ * the file and every entry (name, prompt text length, weight ranges, knobs,
+ * advanced values), reporting rejected entries instead of failing the file.
+ * Ids are only unique per browser (custom-<timestamp>), so colliding ids are
+ * reassigned when the entries are merged in.
+ */
+import { MIN_WEIGHT, MAX_WEIGHT } from './promptMix';
+import { ADVANCED_PARAMS, sanitizeAdvancedConfig, validateParam } from './musicConfig';
+import { KNOB_RANGES, MAX_PRESETS, PRESET_NAME_LENGTH, createPresetId, normalizeTags, sanitizeKnobs } from './presetState';
+import { downloadBlob } from './wavEncoder';
+
+export const PRESET_FILE_FORMAT = 'lyria-dj-presets';
+export const PRESET_FILE_VERSION = 1;
+export const MAX_PROMPT_LENGTH = 200;   // Same as the prompt mixer input
+export const MAX_PROMPTS = 10;          // Same as the prompt mixer rows
+export const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * The fields a preset file carries (drops runtime-only properties)
+ */
+function toFileEntry(preset) {
+    const { id, name, description = '', tags = [], prompts, knobs, advanced, autoDrift } = preset;
+    return {
+        id,
+        name,
+        description,
+        tags,
+        prompts: prompts.map(({ text, weight }) => ({ text, weight })),
+        ...(knobs && { knobs }),
+        ...(advanced && { advanced }),
+        ...(autoDrift && { autoDrift }),
+    };
+}
+
+/**
+ * Serialize presets to the versioned file format
+ */
+export function serializePresets(presets) {
+    return JSON.stringify({
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        presets: presets.map(toFileEntry),
+    }, null, 2);
+}
+
+/**
+ * Download presets as a .json file
+ */
+export function exportPresets(presets) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = presets.length === 1
+        ? presets[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'
+        : `${presets.length}-presets`;
+    downloadBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), `lyria-${name}-${stamp}.json`);
+    console.log(`🗂️ [Presets] Exported ${presets.length} preset(s)`);
+}
+
+/**
+ * Reasons an entry is invalid (empty when it is fine)
+ */
+export function validatePresetEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['Not a preset object'];
+    const reasons = [];
+
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+        reasons.push('Missing name');
+    } else if (entry.name.trim().length > PRESET_NAME_LENGTH) {
+        reasons.push(`Name longer than ${PRESET_NAME_LENGTH} characters`);
+    }
+    if (entry.description !== undefined && typeof entry.description !== 'string') {
+        reasons.push('Description must be text');
+    } else if (entry.description?.length > MAX_DESCRIPTION_LENGTH) {
+        reasons.push(`Description longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (entry.tags !== undefined && !Array.isArray(entry.tags)) reasons.push('Tags must be a list');
+
+    if (!Array.isArray(entry.prompts) || !entry.prompts.length) {
+        reasons.push('No prompts');
+    } else {
+        if (entry.prompts.length > MAX_PROMPTS) reasons.push(`More than ${MAX_PROMPTS} prompts`);
+        entry.prompts.forEach((prompt, i) => {
+            const text = prompt?.text;
+            if (typeof text !== 'string' || !text.trim()) {
+                reasons.push(`Prompt ${i + 1}: missing text`);
+            } else if (text.trim().length > MAX_PROMPT_LENGTH) {
+                reasons.push(`Prompt ${i + 1}: text longer than ${MAX_PROMPT_LENGTH} characters`);
+            }
+            const weight = prompt?.weight;
+            if (typeof weight !== 'number' || Number.isNaN(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT) {
+                reasons.push(`Prompt ${i + 1}: weight must be ${MIN_WEIGHT}–${MAX_WEIGHT}`);
+            }
+        });
+    }
+
+    if (entry.knobs !== undefined) {
+        Object.entries(KNOB_RANGES).forEach(([key, { min, max }]) => {
+            const value = entry.knobs?.[key];
+            if (value === undefined) return;
+            if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+                reasons.push(`${key} must be ${min}–${max}`);
+            }
+        });
+    }
+
+    if (entry.advanced !== undefined) {
+        ADVANCED_PARAMS.forEach(({ key }) => {
+            if (!entry.advanced || !(key in entry.advanced)) return;
+            const message = validateParam(key, entry.advanced[key]);
+            if (message) reasons.push(message);
+        });
+    }
+
+    return reasons;
+}
+
+/**
+ * Parse and validate a preset file
+ * @returns {{ error?: string, entries: Array<Object>, rejected: Array<{ index: number, name: string, reasons: string[] }> }}
+ */
+export function parsePresetFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { error: 'Not a JSON file', entries: [], rejected: [] };
+    }
+    if (data?.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+        return { error: 'Not a Lyria DJ preset file', entries: [], rejected: [] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > PRESET_FILE_VERSION) {
+        return { error: `Unsupported file version ${data.version} (this app reads up to ${PRESET_FILE_VERSION})`, entries: [], rejected: [] };
+    }
+
+    const entries = [];
+    const rejected = [];
+    data.presets.forEach((entry, index) => {
+        const reasons = validatePresetEntry(entry);
+        if (reasons.length) {
+            rejected.push({ index, name: typeof entry?.name === 'string' ? entry.name : `Entry ${index + 1}`, reasons });
+            return;
+        }
+        entries.push({
+            id: typeof entry.id === 'string' ? entry.id : '',
+            name: entry.name.trim(),
+            description: (entry.description || '').trim(),
+            tags: normalizeTags(entry.tags),
+            prompts: entry.prompts.map(p => ({ text: p.text.trim(), weight: p.weight })),
+            ...(entry.knobs && { knobs: sanitizeKnobs(entry.knobs) }),
+            ...(entry.advanced && { advanced: sanitizeAdvancedConfig(entry.advanced) }),
+            ...(entry.autoDrift && { autoDrift: { enabled: Boolean(entry.autoDrift.enabled) } }),
+            isCustom: true,
+        });
+    });
+    return { entries, rejected };
+}
+
+/**
+ * Combine imported entries with the current custom presets.
+ * 'merge' appends them; 'replace' drops the current custom presets first.
+ * Ids already taken (built-in, kept custom or earlier in the file) are
+ * reassigned; entries past MAX_PRESETS are skipped.
+ * @returns {{ presets: Array, added: number, reassigned: string[], skipped: string[] }}
+ */
+export function mergeImportedPresets(current, entries, mode, builtInIds) {
+    const kept = mode === 'replace' ? [] : current;
+    const taken = new Set([...builtInIds, ...kept.map(p => p.id)]);
+    const capacity = MAX_PRESETS - builtInIds.length - kept.length;
+
+    const added = [];
+    const reassigned = [];
+    const skipped = [];
+    entries.forEach(entry => {
+        if (added.length >= capacity) {
+            skipped.push(entry.name);
+            return;
+        }
+        let id = entry.id;
+        if (!id || taken.has(id)) {
+            if (id) reassigned.push(entry.name);
+            id = createPresetId();
+        }
+        taken.add(id);
+        added.push({ ...entry, id });
+    });
+
+    return { presets: [...kept, ...added], added: added.length, reassigned, skipped };
+}
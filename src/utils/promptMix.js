@@ -0,0 +1,45 @@
+/**
+ * promptMix.js - Helpers for the weighted prompt mixer rows
+ * A row is { id, text, weight, muted, solo }; the session only ever sees
+ * the resolved { text, weight } list
+ */
+
+export const MIN_WEIGHT = 0;
+export const MAX_WEIGHT = 2;
+export const DEFAULT_WEIGHT = 1.0;
+
+let nextRowId = 1;
+
+/**
+ * Create a new mixer row
+ */
+export function createRow(text = '', weight = DEFAULT_WEIGHT) {
+    return { id: `row-${nextRowId++}`, text, weight, muted: false, solo: false };
+}
+
+/**
+ * Build mixer rows from a { text, weight } prompt list
+ */
+export function rowsFromPrompts(prompts) {
+    return (prompts || []).map(p => createRow(p.text, p.weight));
+}
+
+/**
+ * Resolve rows to the prompts that should be sent:
+ * soloed rows win if any exist, otherwise every unmuted row; blanks are skipped
+ */
+export function resolvePrompts(rows) {
+    const withText = rows.filter(r => r.text.trim());
+    const anySolo = withText.some(r => r.solo);
+    return withText
+        .filter(r => (anySolo ? r.solo : !r.muted))
+        .map(r => ({ text: r.text.trim(), weight: r.weight }));
+}
+
+/**
+ * Whether a row is currently silenced by mute or by another row's solo
+ */
+export function isRowSilenced(row, rows) {
+    const anySolo = rows.some(r => r.solo && r.text.trim());
+    return anySolo ? !row.solo : row.muted;
+}
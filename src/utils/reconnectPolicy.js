@@ -0,0 +1,51 @@
+/**
+ * reconnectPolicy.js - How often and how patiently to retry a dropped connection
+ * Exponential backoff from baseDelay, capped at maxDelay, with random jitter
+ * so many clients don't retry in lockstep. `infinite` ignores maxAttempts.
+ */
+
+export const DEFAULT_RECONNECT_POLICY = {
+    maxAttempts: 5,
+    baseDelay: 1000,    // ms before the first retry
+    maxDelay: 16000,    // ms cap on any single wait
+    jitter: 0.3,        // ± fraction of the delay
+    infinite: false,
+};
+
+class ReconnectPolicy {
+    constructor(options = {}) {
+        this.update({ ...DEFAULT_RECONNECT_POLICY, ...options });
+    }
+
+    /**
+     * Merge partial options (unknown keys are ignored)
+     */
+    update(options = {}) {
+        Object.keys(DEFAULT_RECONNECT_POLICY).forEach(key => {
+            if (options[key] !== undefined) this[key] = options[key];
+        });
+    }
+
+    /**
+     * Whether attempt number `attempt` (1-based) may run
+     */
+    canRetry(attempt) {
+        return this.infinite || attempt <= this.maxAttempts;
+    }
+
+    /**
+     * Wait before attempt number `attempt` (1-based), in ms
+     */
+    delayFor(attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        const spread = delay * this.jitter;
+        return Math.max(0, Math.round(delay - spread + Math.random() * 2 * spread));
+    }
+
+    toJSON() {
+        const { maxAttempts, baseDelay, maxDelay, jitter, infinite } = this;
+        return { maxAttempts, baseDelay, maxDelay, jitter, infinite };
+    }
+}
+
+export { ReconnectPolicy };
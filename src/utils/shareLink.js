@@ -0,0 +1,103 @@
+/**
+ * shareLink.js - Encode the current mix in a URL fragment and read it back
+ * The fragment is #mix=<version>.<base64url JSON> with short keys:
+ *   { n: name, p: [[text, weight], ...], k: [bpm, guidance, density, brightness], a: { changed advanced keys } }
+ * Decoding runs everything through the same sanitizers as presets, so a
+ * hand-edited or truncated link degrades to defaults instead of breaking.
+ * Links only restore state; playback still needs a click.
+ */
+import { DEFAULT_ADVANCED_CONFIG, sanitizeAdvancedConfig } from './musicConfig';
+import { sanitizeKnobs, sanitizePrompts } from './presetState';
+import { MAX_PROMPTS } from './presetTransfer';
+
+export const SHARE_LINK_VERSION = 1;
+const FRAGMENT_KEY = 'mix';
+const KNOB_ORDER = ['bpm', 'guidance', 'density', 'brightness'];
+const MAX_NAME_LENGTH = 80;
+
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Fragment (without the leading #) for a mix
+ * @param {{ name?: string, prompts: Array<{text: string, weight: number}>, knobs: Object, advanced: Object }} mix
+ */
+export function encodeShareFragment({ name, prompts, knobs, advanced }) {
+    const payload = {
+        p: prompts.map(({ text, weight }) => [text, round(weight, 2)]),
+        k: KNOB_ORDER.map(key => round(knobs[key], key === 'bpm' ? 0 : 2)),
+    };
+    if (name) payload.n = name.slice(0, MAX_NAME_LENGTH);
+
+    // Only values that differ from the defaults
+    const changed = Object.entries(advanced || {}).filter(([key, value]) => value !== DEFAULT_ADVANCED_CONFIG[key]);
+    if (changed.length) payload.a = Object.fromEntries(changed);
+
+    return `${FRAGMENT_KEY}=${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Full link to the current page with the mix in the fragment
+ */
+export function buildShareLink(mix) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${encodeShareFragment(mix)}`;
+}
+
+/**
+ * Drop the fragment without adding a history entry
+ */
+export function clearShareFragment() {
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, '', pathname + search);
+}
+
+/**
+ * Mix from a location hash, or null when there is none or it can't be read
+ * @returns {{ name: string|null, prompts: Array, knobs: Object, advanced: Object } | null}
+ */
+export function readShareFragment(hash) {
+    const match = (hash || '').match(new RegExp(`^#?${FRAGMENT_KEY}=(\\d+)\\.([\\w-]+)$`));
+    if (!match) return null;
+
+    const version = Number(match[1]);
+    if (version !== SHARE_LINK_VERSION) {
+        console.warn(`🔗 [Share] Unsupported link version ${version}`);
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(match[2]));
+    } catch (error) {
+        console.warn('🔗 [Share] Could not read link:', error.message);
+        return null;
+    }
+
+    const prompts = sanitizePrompts(
+        (Array.isArray(payload?.p) ? payload.p : []).map(entry => Array.isArray(entry) ? { text: entry[0], weight: entry[1] } : null)
+    ).slice(0, MAX_PROMPTS);
+    if (!prompts.length) {
+        console.warn('🔗 [Share] Link has no prompts');
+        return null;
+    }
+
+    const knobValues = Array.isArray(payload.k) ? payload.k : [];
+    return {
+        name: typeof payload.n === 'string' ? payload.n.slice(0, MAX_NAME_LENGTH) : null,
+        prompts,
+        knobs: sanitizeKnobs(Object.fromEntries(KNOB_ORDER.map((key, i) => [key, knobValues[i]]))),
+        advanced: sanitizeAdvancedConfig(payload.a && typeof payload.a === 'object' ? payload.a : {}),
+    };
+}
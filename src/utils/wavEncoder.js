@@ -0,0 +1,113 @@
+/**
+ * wavEncoder.js - Encode captured PCM into a 16-bit stereo WAV file
+ * Optional cue points are embedded as `cue ` + `LIST/adtl/labl` chunks
+ */
+
+/**
+ * Write an ASCII string into a DataView
+ */
+function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+        view.setUint8(offset + i, str.charCodeAt(i));
+    }
+}
+
+/**
+ * Encode planar Float32 channels into a WAV Blob
+ * @param {Float32Array} left - Left channel samples (-1..1)
+ * @param {Float32Array} right - Right channel samples (-1..1)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Array<{ frame: number, label: string }>} cues - Cue points (sample offsets)
+ */
+export function encodeWav(left, right, sampleRate, cues = []) {
+    const numChannels = 2;
+    const bytesPerSample = 2;
+    const frames = Math.min(left.length, right.length);
+    const dataSize = frames * numChannels * bytesPerSample;
+
+    // Labels are NUL-terminated and padded to an even length
+    const labels = cues.map(cue => {
+        const text = String(cue.label).replace(/[^\x20-\x7E]/g, '?');
+        const size = 4 + text.length + 1;
+        return { text, size, padded: size + (size % 2) };
+    });
+
+    const cueChunkSize = cues.length ? 4 + cues.length * 24 : 0;
+    const listChunkSize = cues.length ? 4 + labels.reduce((sum, l) => sum + 8 + l.padded, 0) : 0;
+
+    const totalSize = 12 + (8 + 16) + (8 + dataSize) +
+        (cues.length ? (8 + cueChunkSize) + (8 + listChunkSize) : 0);
+
+    const buffer = new ArrayBuffer(totalSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    // RIFF header
+    writeString(view, offset, 'RIFF'); offset += 4;
+    view.setUint32(offset, totalSize - 8, true); offset += 4;
+    writeString(view, offset, 'WAVE'); offset += 4;
+
+    // fmt chunk (PCM)
+    writeString(view, offset, 'fmt '); offset += 4;
+    view.setUint32(offset, 16, true); offset += 4;
+    view.setUint16(offset, 1, true); offset += 2;
+    view.setUint16(offset, numChannels, true); offset += 2;
+    view.setUint32(offset, sampleRate, true); offset += 4;
+    view.setUint32(offset, sampleRate * numChannels * bytesPerSample, true); offset += 4;
+    view.setUint16(offset, numChannels * bytesPerSample, true); offset += 2;
+    view.setUint16(offset, bytesPerSample * 8, true); offset += 2;
+
+    // data chunk (interleaved 16-bit little-endian)
+    writeString(view, offset, 'data'); offset += 4;
+    view.setUint32(offset, dataSize, true); offset += 4;
+    for (let i = 0; i < frames; i++) {
+        const l = Math.max(-1, Math.min(1, left[i]));
+        const r = Math.max(-1, Math.min(1, right[i]));
+        view.setInt16(offset, l < 0 ? l * 0x8000 : l * 0x7FFF, true); offset += 2;
+        view.setInt16(offset, r < 0 ? r * 0x8000 : r * 0x7FFF, true); offset += 2;
+    }
+
+    if (cues.length) {
+        // cue chunk
+        writeString(view, offset, 'cue '); offset += 4;
+        view.setUint32(offset, cueChunkSize, true); offset += 4;
+        view.setUint32(offset, cues.length, true); offset += 4;
+        cues.forEach((cue, i) => {
+            const frame = Math.max(0, Math.min(frames, Math.round(cue.frame)));
+            view.setUint32(offset, i + 1, true); offset += 4;      // cue id
+            view.setUint32(offset, frame, true); offset += 4;      // play order position
+            writeString(view, offset, 'data'); offset += 4;        // data chunk id
+            view.setUint32(offset, 0, true); offset += 4;          // chunk start
+            view.setUint32(offset, 0, true); offset += 4;          // block start
+            view.setUint32(offset, frame, true); offset += 4;      // sample offset
+        });
+
+        // LIST/adtl chunk with one labl per cue
+        writeString(view, offset, 'LIST'); offset += 4;
+        view.setUint32(offset, listChunkSize, true); offset += 4;
+        writeString(view, offset, 'adtl'); offset += 4;
+        labels.forEach((label, i) => {
+            writeString(view, offset, 'labl'); offset += 4;
+            view.setUint32(offset, label.size, true); offset += 4;
+            view.setUint32(offset, i + 1, true); offset += 4;
+            writeString(view, offset, label.text);
+            offset += label.padded - 4; // text + NUL (+ pad), buffer is zero-filled
+        });
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Trigger a browser download for a Blob
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,15 @@
+/**
+ * pcmDecoder.worker.js - Decodes Lyria PCM chunks off the main thread
+ * In:  { id, data: base64 }   Out: { id, left, right } (buffers transferred)
+ */
+import { decodePcm16 } from '../utils/pcm16';
+
+self.onmessage = (e) => {
+    const { id, data } = e.data;
+    try {
+        const { left, right } = decodePcm16(data);
+        self.postMessage({ id, left, right }, [left.buffer, right.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * pcmPlayer.worklet.js - AudioWorklet that plays Lyria PCM from a ring buffer
+ * One continuous node replaces per-chunk AudioBufferSourceNodes. After a
+ * clear or an underrun it holds for `latency` seconds once audio arrives,
+ * the same cushion the old scheduler left before the first chunk. A larger
+ * latency while playing holds the output for the difference, so the cushion
+ * grows before the ring runs dry.
+ *
+ * Port in:  { type: 'push', left, right }       (non-shared ring only)
+ *           { type: 'clear', at, latency }       (at: context time, 0 = now)
+ *           { type: 'latency', latency }
+ * Port out: { type: 'playing' } | { type: 'underrun' } | { type: 'overflow' }
+ *           { type: 'status', available }
+ */
+import { PcmRingBuffer } from '../utils/pcmRingBuffer';
+import { MIN_PADDING } from '../utils/jitterBuffer';
+
+const STATUS_EVERY = 32; // Render quanta between status reports (~93ms at 44.1kHz)
+
+class PcmPlayerProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { state, data, frames, latency } = options.processorOptions;
+
+        this.ring = state ? new PcmRingBuffer(state, data) : PcmRingBuffer.create(frames, false);
+        this.latency = latency;
+        this.appliedLatency = latency; // Cushion the current run was built with
+        this.isBuffering = true;
+        this.startAt = null;
+        this.holdUntil = null;
+        this.clearAt = null;
+        this.blocks = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'push':
+                if (this.ring.push(message.left, message.right) < message.left.length) {
+                    this.port.postMessage({ type: 'overflow' });
+                }
+                break;
+            case 'clear':
+                this.latency = message.latency ?? this.latency;
+                if (message.at > currentTime) {
+                    this.clearAt = message.at;
+                } else {
+                    this.clear();
+                }
+                break;
+            case 'latency':
+                this.latency = message.latency;
+                this.applyLatencyRise();
+                break;
+        }
+    }
+
+    clear() {
+        this.ring.clear();
+        this.isBuffering = true;
+        this.startAt = null;
+        this.clearAt = null;
+        this.holdUntil = null;
+    }
+
+    /**
+     * Stretch the running cushion to a risen latency: push back a pending
+     * start, or hold the output while playing
+     */
+    applyLatencyRise() {
+        const rise = this.latency - this.appliedLatency;
+        if (rise < MIN_PADDING) return;
+        this.appliedLatency = this.latency;
+        if (this.isBuffering) {
+            if (this.startAt !== null) this.startAt += rise;
+        } else {
+            this.holdUntil = Math.max(this.holdUntil ?? currentTime, currentTime) + rise;
+        }
+    }
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+
+        if (this.clearAt !== null && currentTime >= this.clearAt) {
+            this.clear();
+        }
+
+        if (this.isBuffering && this.ring.availableRead() > 0) {
+            if (this.startAt === null) {
+                this.startAt = currentTime + this.latency;
+                this.appliedLatency = this.latency;
+            }
+            if (currentTime >= this.startAt) {
+                this.isBuffering = false;
+                this.port.postMessage({ type: 'playing' });
+            }
+        }
+
+        if (this.holdUntil !== null && currentTime >= this.holdUntil) this.holdUntil = null;
+
+        let frames = 0;
+        if (!this.isBuffering && this.holdUntil === null) {
+            frames = this.ring.pull(left, right);
+            if (frames < left.length) {
+                this.isBuffering = true;
+                this.startAt = null;
+                this.port.postMessage({ type: 'underrun' });
+            }
+        }
+        left.fill(0, frames);
+        right.fill(0, frames);
+
+        if (++this.blocks % STATUS_EVERY === 0) {
+            this.port.postMessage({ type: 'status', available: this.ring.availableRead() });
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pcm-player', PcmPlayerProcessor);
@@ -1,18 +1,28 @@
-import { defineConfig, loadEnv } from 'vite';
+import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import path from 'path';
 
-export default defineConfig(({ mode }) => {
-    const env = loadEnv(mode, '.', '');
+// Cross-origin isolation lets the audio worklet share a SharedArrayBuffer ring
+// (src/utils/pcmRingBuffer.js); without it playback falls back to message passing
+const isolationHeaders = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'require-corp',
+};
+
+export default defineConfig(() => {
     return {
         plugins: [react()],
         server: {
             port: 3000,
             host: '0.0.0.0',
+            headers: isolationHeaders,
+        },
+        preview: {
+            headers: isolationHeaders,
         },
+        // The API key is never defined into the bundle: use the proxy (npm run proxy)
+        // or, for local development only, VITE_GEMINI_API_KEY
         define: {
-            'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-            'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY),
             // Polyfill global for Node.js packages like Magenta.js
             'global': 'globalThis',
         },